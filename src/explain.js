@@ -0,0 +1,235 @@
+"use strict";
+
+const { TransactionNode } = require("./transaction");
+const { traverse } = require("./traverse");
+const { CommonTableReference, NamedRelation, ObjectStore, OrderBy, Relation, Statistics, evaluateCount } = require("./tree");
+
+const has = Object.prototype.hasOwnProperty;
+
+// Rows assumed for object stores that cannot estimate their own size.
+const UNKNOWN_ROWS = 1000;
+
+// Fraction of pairs of tuples estimated to match on the keys of a hash join.
+const HASH_JOIN_SELECTIVITY = 0.1;
+
+const isPlanNode = (node) => {
+  return (node instanceof Relation && !(node instanceof ObjectStore)) || node instanceof TransactionNode;
+}
+
+const isScan = (node) => {
+  return node instanceof NamedRelation && node.relation instanceof ObjectStore;
+}
+
+const passThrough = (node, plan, children) => {
+  let names = Object.keys(children);
+  return names.length ? children[names[0]] : { rows: 0, cost: 0 };
+}
+
+// Each estimator returns the estimated rows and cost of a plan node, given those of its children.
+const ESTIMATORS = {
+  NamedRelation(node, plan, children) {
+    if (!isScan(node))
+      return passThrough(node, plan, children);
+
+    let rows = plan.scan.estimatedRows;
+    if (rows === undefined)
+      rows = UNKNOWN_ROWS;
+    return { rows, cost: rows };
+  },
+
+  Join(node, plan, { lRelation: l, rRelation: r }) {
+    let rows, cost;
+    if (node.algorithm !== "nestedLoop") {
+      rows = l.rows * r.rows * HASH_JOIN_SELECTIVITY;
+      cost = l.cost + r.cost;
+    } else {
+      rows = l.rows * r.rows;
+      cost = l.cost + l.rows * r.cost;
+    }
+
+    if (node.type === "anti" || node.type === "semi")
+      rows = l.rows;
+    else if (node.type !== "inner")
+      rows = Math.max(rows, l.rows);
+    return { rows, cost };
+  },
+
+  ScalarSubquery(node, plan, { relation, subquery }) {
+    return { rows: relation.rows, cost: relation.cost + relation.rows * subquery.cost };
+  },
+
+  OrderBy(node, plan, { relation }) {
+    let { rows } = relation;
+    return { rows, cost: relation.cost + (rows > 1 ? rows * Math.log2(rows) : 0) };
+  },
+
+  Limit(node, plan, { relation }, context) {
+    let count = evaluateCount(node.count, context);
+    let offset = evaluateCount(node.offset, context) || 0;
+    let rows = Math.max(relation.rows - offset, 0);
+    if (count !== undefined)
+      rows = Math.min(rows, count);
+    return { rows, cost: relation.cost };
+  },
+
+  SetOperation(node, plan, { lRelation: l, rRelation: r }) {
+    let rows;
+    if (node.type === "union" || node.type === "unionAll")
+      rows = l.rows + r.rows;
+    else if (node.type === "intersect" || node.type === "intersectAll")
+      rows = Math.min(l.rows, r.rows);
+    else
+      rows = l.rows;
+    return { rows, cost: l.cost + r.cost };
+  },
+
+  CompositeUnion(node, plan, { lRelation: l, rRelation: r }) {
+    return { rows: l.rows + r.rows, cost: l.cost + r.cost };
+  },
+
+  Write(node, plan, { relation }) {
+    return { rows: relation.rows, cost: relation.cost + relation.rows };
+  },
+};
+
+// Builds a record, for each plan node, of its plan, i.e. its tree, with the plans of child relations in place of
+// their trees.
+const buildRecords = (root) => {
+  let stack = [{ children: {} }];
+  traverse(root, {
+    enter(path) {
+      let node = path.node;
+      if (!isPlanNode(node))
+        return;
+
+      let tree = node.tree();
+      let plan = typeof tree === "object" ? tree : { class: node.constructor.name, name: tree };
+      let record = { node, plan, children: {} };
+
+      let parent = stack[stack.length - 1];
+      parent.children[path.childName] = record;
+      if (parent.plan)
+        parent.plan[path.childName] = plan;
+
+      stack.push(record);
+    },
+
+    exit(path) {
+      if (isPlanNode(path.node))
+        stack.pop();
+    },
+  });
+
+  return stack[0].children[0];
+}
+
+const estimate = (record, context, estimates = new Map()) => {
+  let { node, plan } = record;
+
+  // A common table expression referenced more than once is planned under the first reference only. The others
+  // replay the tuples it produced.
+  if (node instanceof CommonTableReference && !has.call(record.children, "relation")) {
+    return estimates.get(node.relation).then(({ rows }) => {
+      plan.estimatedRows = Math.ceil(rows);
+      plan.estimatedCost = Math.ceil(rows);
+      return { rows, cost: rows };
+    });
+  }
+
+  let scan;
+  if (isScan(node)) {
+    // The tree of a plain scan is just its name, omitting the predicates hoisted into it.
+    if (node.predicates.length)
+      plan.predicates = node.predicates.map(p => p.tree());
+
+    let keyRanges = node.keyRanges;
+    let names = keyRanges === undefined ? [] : Object.keys(keyRanges);
+    if (names.length) {
+      plan.keyRanges = {};
+      for (let n of names)
+        plan.keyRanges[n] = keyRanges[n].tree();
+    }
+
+    scan = node.relation.explainScan(context, keyRanges, {
+      limit: evaluateCount(node.limit, context),
+      offset: evaluateCount(node.offset, context),
+      order: node.order,
+    }).then(scan => {
+      plan.scan = scan;
+    });
+  }
+
+  if (node instanceof OrderBy)
+    plan.sort = true;
+
+  let names = Object.keys(record.children);
+  let promise = Promise.all([scan, ...names.map(n => estimate(record.children[n], context, estimates))]).then(([, ...results]) => {
+    let children = {};
+    names.forEach((n, i) => {
+      children[n] = results[i];
+    });
+
+    let estimator = has.call(ESTIMATORS, node.constructor.name) ? ESTIMATORS[node.constructor.name] : passThrough;
+    let result = estimator(node, plan, children, context);
+    plan.estimatedRows = Math.ceil(result.rows);
+    plan.estimatedCost = Math.ceil(result.cost);
+    return result;
+  });
+  estimates.set(node, promise);
+  return promise;
+}
+
+// Resolves to a description of how the finalized query would be executed: the plan, i.e. its tree annotated
+// with the object stores, indexes and key ranges scanned, whether the query must sort tuples rather than
+// reading them in index order, and estimates of the number of tuples and cost of each part.
+const explain = (root, context) => {
+  let record = buildRecords(root);
+  let sortNeeded = false;
+  traverse(root, {
+    OrderBy() {
+      sortNeeded = true;
+    },
+  });
+
+  return estimate(record, context).then(() => ({
+    plan: record.plan,
+    sortNeeded,
+    estimatedRows: record.plan.estimatedRows,
+    estimatedCost: record.plan.estimatedCost,
+  }));
+}
+
+const annotate = (record, statistics) => {
+  let { node, plan } = record;
+  let { executions, rows, cursorSteps, time } = statistics.get(node);
+  plan.executions = executions;
+  plan.actualRows = rows;
+  if (isScan(node))
+    plan.cursorSteps = cursorSteps;
+  plan.time = time;
+
+  for (let n in record.children)
+    annotate(record.children[n], statistics);
+}
+
+// Executes the finalized query, resolving to its tuples and its plan annotated with the number of times each
+// part was executed, the tuples it actually produced, the time spent in it and, for object stores, the number of
+// cursor steps taken.
+const explainAnalyze = (root, context) => {
+  let record = buildRecords(root);
+  let statistics = new Statistics();
+  context.statistics = statistics;
+
+  return context.execute(root).toArray().toPromise().then(rows => {
+    annotate(record, statistics);
+    return {
+      rows,
+      plan: record.plan,
+    };
+  });
+}
+
+module.exports = {
+  explain,
+  explainAnalyze,
+};
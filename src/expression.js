@@ -6,7 +6,8 @@ const { ValueMap } = require("valuecollection");
 
 const { stdAggregates } = require("./aggregate");
 const { cmp } = require("./idbbase");
-const { Range, RangeExpression, RangeIntersection, RangeUnion, includes } = require("./range");
+const { Range, RangeExpression, RangeList, includes, intersectRanges, prefixUpper,
+        uniteRanges } = require("./range");
 
 const has = Object.prototype.hasOwnProperty;
 
@@ -30,6 +31,7 @@ const expressionScope = {
   PrimaryKey,
   cmp,
   $$cmp: cmp,
+  $$prefixUpper: prefixUpper,
 }
 expressionScope.global = expressionScope;
 Object.assign(expressionScope, stdAggregates);
@@ -40,11 +42,92 @@ const unknownDependency = {
   }
 }
 
+// Stands in for a relation of an enclosing query that is referenced by a subquery, until the subquery is embedded
+// in the enclosing query and the relation known.
+class OuterDependency {
+  constructor(name) {
+    this.name = name;
+    this.relation = undefined;
+  }
+
+  isSameDependency(that) {
+    return this.relation !== undefined && this.relation.isSameDependency(that);
+  }
+}
+
+// Subqueries tested by conjuncts of where predicates, e.g. "exists(${subquery})", and the types of join that do so.
+const SUBQUERY_JOINS = {
+  exists: "semi",
+  notExists: "anti",
+}
+
+const isSubstitution = (node) => {
+  return types.isMemberExpression(node, { computed: true }) && types.isIdentifier(node.object, { name: "$$subs" }) &&
+         types.isNumericLiteral(node.property);
+}
+
+// A conjunct "x in ${subquery}" tests whether any tuple of the subquery equals x. The in operator is not otherwise
+// meaningful for queries, which are functions.
+const isSubqueryMembership = (node, substitutions) => {
+  return types.isBinaryExpression(node, { operator: "in" }) && isSubstitution(node.right) &&
+         typeof substitutions[node.right.property.value] === "function";
+}
+
 const generateJS = (node) => {
   let { code } = generate(node, { concise: true });
   return code;
 }
 
+// Returns, for each dependency the AST node references, the array of key paths of the relation's tuples that it
+// reads, or null if it uses tuples of the relation in some other way, e.g. as a whole or with computed properties.
+const usedFields = (node, dependencies) => {
+  let fields = {};
+  const use = (name, path) => {
+    if (fields[name] === null)
+      return;
+    if (path === undefined)
+      fields[name] = null;
+    else
+      fields[name] = (fields[name] || []).concat(path);
+  }
+
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node.type !== "string")
+      return;
+
+    if (types.isMemberExpression(node) && !node.computed) {
+      let path = [];
+      let object = node;
+      while (types.isMemberExpression(object) && !object.computed) {
+        path.unshift(object.property.name);
+        object = object.object;
+      }
+
+      if (types.isIdentifier(object) && has.call(dependencies, object.name))
+        use(object.name, path.join("."));
+      else
+        visit(object);
+    } else if (types.isIdentifier(node)) {
+      if (has.call(dependencies, node.name))
+        use(node.name);
+    } else if (types.isObjectProperty(node) && !node.computed) {
+      visit(node.value);
+    } else {
+      for (let key in node) {
+        if (has.call(node, key) && key !== "loc")
+          visit(node[key]);
+      }
+    }
+  }
+
+  visit(node);
+  return fields;
+}
+
 const compileNode = (node, dependencies, substitutions) => {
   let js = generateJS(node);
 
@@ -71,6 +154,8 @@ const compileNode = (node, dependencies, substitutions) => {
 
   let fn = new Function("$$subs", ...parameters, jsWrapped)(substitutions, ...args);
   fn.source = js;
+  fn.dependencies = dependencies;
+  fn.fields = usedFields(node, dependencies);
   return fn;
 }
 
@@ -144,17 +229,56 @@ const extractKeyPath = (node) => {
   };
 }
 
-const extractKeyRanges = (node, complement, dependencies) => {
+// Returns the subset of dependencies referenced by an AST node.
+const nodeDependencies = (node, dependencies) => {
+  let result = {};
+  if (types.isIdentifier(node)) {
+    if (has.call(dependencies, node.name))
+      result[node.name] = dependencies[node.name];
+    return result;
+  }
+
+  traverse(node, {
+    noScope: true,
+    Identifier(path) {
+      let { name } = path.node;
+      if (path.isReferencedIdentifier() && has.call(dependencies, name))
+        result[name] = dependencies[name];
+    },
+  });
+  return result;
+}
+
+const isSubSchema = (dependencies, schema) => {
+  let empty = true;
+  for (let n in dependencies) {
+    if (has.call(dependencies, n)) {
+      if (!dependencies[n].isSameDependency(schema[n]))
+        return false;
+      empty = false;
+    }
+  }
+  return !empty;
+}
+
+// Whether node calls the named method with a single argument.
+const isMethodCall = (node, name) => {
+  return types.isCallExpression(node) && node.arguments.length === 1 && !types.isSpreadElement(node.arguments[0]) &&
+         types.isMemberExpression(node.callee) && !node.callee.computed &&
+         types.isIdentifier(node.callee.property, { name });
+}
+
+const extractKeyRanges = (node, complement, dependencies, substitutions) => {
   let result = {};
   let op = node.operator;
   if (types.isUnaryExpression(node, { operator: '!' })) {
-    return extractKeyRanges(node.argument, !complement, dependencies);
+    return extractKeyRanges(node.argument, !complement, dependencies, substitutions);
   } else if (types.isLogicalExpression(node)) {
     if (op !== "&&" && op !== "||") {
       return undefined;
     } else {
-      let left = extractKeyRanges(node.left, complement, dependencies)
-      let right = extractKeyRanges(node.right, complement, dependencies)
+      let left = extractKeyRanges(node.left, complement, dependencies, substitutions)
+      let right = extractKeyRanges(node.right, complement, dependencies, substitutions)
 
       let intersect = op === "&&";
       if (complement)
@@ -164,12 +288,15 @@ const extractKeyRanges = (node, complement, dependencies) => {
           if (has.call(left, keyDependency) && has.call(right, keyDependency)) {
             for (let keyPath in left[keyDependency]) {
               if (has.call(left[keyDependency], keyPath) && has.call(right[keyDependency], keyPath)) {
+                let range = intersect
+                  ? intersectRanges(left[keyDependency][keyPath], right[keyDependency][keyPath])
+                  : uniteRanges(left[keyDependency][keyPath], right[keyDependency][keyPath]);
+                if (range === undefined)
+                  continue;
+
                 if (!has.call(result, keyDependency))
                   result[keyDependency] = {};
-
-                result[keyDependency][keyPath] = intersect
-                  ? new RangeIntersection(left[keyDependency][keyPath], right[keyDependency][keyPath])
-                  : new RangeUnion(left[keyDependency][keyPath], right[keyDependency][keyPath]);
+                result[keyDependency][keyPath] = range;
               }
             }
           }
@@ -222,7 +349,7 @@ const extractKeyRanges = (node, complement, dependencies) => {
         let keyRangeDependencies = Object.assign({}, dependencies);
         delete keyRangeDependencies[key.dependency];
 
-        let fn = compileNode(args[1 - i], keyRangeDependencies);
+        let fn = compileNode(args[1 - i], keyRangeDependencies, substitutions);
         let keyRange = new RangeExpression(fn, fn);
 
         if (op === "===") {
@@ -269,6 +396,54 @@ const extractKeyRanges = (node, complement, dependencies) => {
         result[key.dependency][key.path] = keyRange;
       }
     }
+  } else if (isMethodCall(node, "includes") || isMethodCall(node, "startsWith")) {
+    if (complement)
+      return result;
+
+    const addKeyRange = (key, keyRange) => {
+      if (!has.call(result, key.dependency))
+        result[key.dependency] = {};
+      result[key.dependency][key.path] = keyRange;
+    }
+
+    const compileOther = (node, key) => {
+      if (has.call(nodeDependencies(node, dependencies), key.dependency))
+        return undefined;
+
+      let keyRangeDependencies = Object.assign({}, dependencies);
+      delete keyRangeDependencies[key.dependency];
+      return compileNode(node, keyRangeDependencies, substitutions);
+    }
+
+    let object = node.callee.object;
+    let arg = node.arguments[0];
+
+    // A string prefix, e.g. "book.title.startsWith($prefix)", is the range from the prefix to the least string
+    // after all those starting with it.
+    if (node.callee.property.name === "startsWith") {
+      let prefix = types.callExpression(types.identifier("String"), [arg]);
+      let upper = types.callExpression(types.identifier("$$prefixUpper"), [prefix]);
+      let key = extractKeyPath(object);
+      let lowerFn = key && compileOther(prefix, key);
+      if (lowerFn)
+        addKeyRange(key, new RangeExpression(lowerFn, compileOther(upper, key), false, true));
+      return result;
+    }
+
+    // Array membership, e.g. "book.tags.includes($tag)", can be looked up in a multiEntry index.
+    let key = extractKeyPath(object);
+    let fn = key && compileOther(arg, key);
+    if (fn) {
+      let keyRange = new RangeExpression(fn, fn);
+      keyRange.multiEntry = true;
+      addKeyRange(key, keyRange);
+    }
+
+    // An IN-list, e.g. "$isbns.includes(book.isbn)" or "[1, 2].includes(item.id)", is a union of equalities.
+    key = extractKeyPath(arg);
+    fn = key && compileOther(object, key);
+    if (fn)
+      addKeyRange(key, new RangeList(fn));
   }
 
   return result;
@@ -309,9 +484,10 @@ class Term {
     this.keyRanges_ = undefined;
   }
 
-  // Dependencies and substitutions must be compatible.
+  // Substitutions must be compatible.
   merge(other) {
     this.node = types.logicalExpression("&&", this.node, other.node);
+    this.dependencies = Object.assign({}, this.dependencies, other.dependencies);
     this.expression_ = undefined;
     this.keyRanges_ = undefined;
     return this;
@@ -330,10 +506,38 @@ class Term {
     if (this.keyRanges_ !== undefined)
       return this.keyRanges_;
 
-    this.keyRanges_ = extractKeyRanges(this.node, false, this.dependencies)
+    this.keyRanges_ = extractKeyRanges(this.node, false, this.dependencies, this.substitutions)
     return this.keyRanges_;
   }
 
+  // If this term is an equality between an expression depending only on relations in lSchema and an expression
+  // depending only on relations in rSchema, returns an Expression for each side. If the right side is a key path,
+  // also returns it.
+  equiJoin(lSchema, rSchema) {
+    let { node } = this;
+    if (!types.isBinaryExpression(node, { operator: "===" }) || !types.isNumericLiteral(node.right, { value: 0 }))
+      return undefined;
+    if (!types.isCallExpression(node.left) || !types.isIdentifier(node.left.callee, { name: "$$cmp" }))
+      return undefined;
+
+    let args = node.left.arguments;
+    let argDependencies = args.map(arg => nodeDependencies(arg, this.dependencies));
+    for (let i = 0; i < 2; ++i) {
+      let lDependencies = argDependencies[i];
+      let rDependencies = argDependencies[1 - i];
+      if (isSubSchema(lDependencies, lSchema) && isSubSchema(rDependencies, rSchema)) {
+        return {
+          left: new Expression(compileNode(args[i], lDependencies, this.substitutions), lDependencies),
+          right: new Expression(compileNode(args[1 - i], rDependencies, this.substitutions), rDependencies),
+          keyPath: extractKeyPath(args[1 - i]),
+          leftKeyPath: extractKeyPath(args[i]),
+        };
+      }
+    }
+
+    return undefined;
+  }
+
   tree() {
     let result = {
       dependencies: Object.getOwnPropertyNames(this.dependencies).sort(),
@@ -368,6 +572,9 @@ class TermGroups {
     this.terms = [];
     this.substitutions = [];
     this.substitutionNodes = [];
+
+    // Subqueries of "exists" and "notExists" conjuncts, each with the type of join by which it is tested.
+    this.subqueries = [];
   }
 
   merge(other) {
@@ -395,6 +602,66 @@ class TermGroups {
 
     let ast = babylon.parse("(" + js + ")");
 
+    // Conjuncts testing subqueries are removed from the expression. The subqueries are instead joined to the
+    // relation the expression filters.
+    let statement = ast.program.body[0];
+    let conjuncts = [];
+    const flattenConjuncts = (node) => {
+      if (types.isLogicalExpression(node, { operator: "&&" })) {
+        flattenConjuncts(node.left);
+        flattenConjuncts(node.right);
+      } else {
+        conjuncts.push(node);
+      }
+    }
+    flattenConjuncts(statement.expression);
+
+    // Variables standing for the values of subqueries, mapped to the relations that provide them.
+    let subqueryVariables = new Map();
+
+    // A membership test becomes an equality with a variable standing for each tuple of the subquery, which is
+    // joined to the relation by a semi join.
+    conjuncts = conjuncts.map(node => {
+      if (!isSubqueryMembership(node, this.substitutions))
+        return node;
+
+      if (options.inSubquery === undefined)
+        throw new Error("Subquery tested with 'in' is not allowed in this context.");
+
+      let subsNode = node.right.property;
+      this.substitutionNodes.push(subsNode);
+      let { name, dependency } = options.inSubquery(this.substitutions[subsNode.value]);
+
+      let identifier = types.identifier(name);
+      subqueryVariables.set(identifier, dependency);
+      return types.binaryExpression("==", node.left, identifier);
+    });
+
+    conjuncts = conjuncts.filter(node => {
+      if (!types.isCallExpression(node) || !types.isIdentifier(node.callee) ||
+          !has.call(SUBQUERY_JOINS, node.callee.name) || (schema !== undefined && has.call(schema, node.callee.name)))
+        return true;
+
+      let name = node.callee.name;
+      if (!options.allowSubqueries)
+        throw new Error(`Call to '${name}' is not allowed in this context.`);
+      if (node.arguments.length !== 1 || !isSubstitution(node.arguments[0]))
+        throw new Error(`Argument of '${name}' must be a query.`);
+
+      let subsNode = node.arguments[0].property;
+      this.substitutionNodes.push(subsNode);
+      this.subqueries.push({
+        type: SUBQUERY_JOINS[name],
+        query: this.substitutions[subsNode.value],
+      });
+      return false;
+    });
+
+    // Nothing remains of an expression that only tested subqueries.
+    if (conjuncts.length === 0)
+      return;
+    statement.expression = conjuncts.reduce((left, right) => types.logicalExpression("&&", left, right));
+
     let generated = new Set();  
     let initializers = [];
     let termDependencies = {};
@@ -410,7 +677,10 @@ class TermGroups {
       return true;
     }
 
-    let groupIdx = 0;
+    // Maps the source of each aggregate call to its index in the aggregate state. Expressions evaluated against
+    // the same aggregate state, e.g. the selector and having expressions of a GroupBy, share options.aggregates
+    // so that each distinct aggregate is computed once.
+    let aggregates = options.aggregates || new Map();
     traverse(ast, {
       MemberExpression(path) {
         if (path.get("object").isIdentifier({ name: "$$subs" })) {
@@ -422,6 +692,9 @@ class TermGroups {
 
       BinaryExpression(path) {
         let { node } = path;
+        if (isSubqueryMembership(node, this.substitutions))
+          throw new Error("'in' may only test a subquery in a conjunct of a where predicate.");
+
         let op = RANGE_OPS[node.operator];
         if (op !== undefined && !generated.has(node)) {
           let replacement = types.binaryExpression(op,
@@ -443,16 +716,27 @@ class TermGroups {
               if (!options.allowAggregates)
                 throw new Error(`Call to aggregage '${callee.node.name}' is not allowed in this context.`);
 
-              initializers.push(
-                types.assignmentExpression(
-                  "=",
-                  groupExpression(groupIdx),
-                  types.callExpression(types.identifier(callee.node.name), [groupExpression(groupIdx)].concat(node.arguments))
-                )
-              );
+              // Calls with substitutions have different arguments in different expressions, even if the same
+              // source.
+              let source = generateJS(node);
+              let groupIdx = aggregates.get(source);
+              if (groupIdx === undefined) {
+                groupIdx = aggregates.size;
+                if (!source.includes("$$subs"))
+                  aggregates.set(source, groupIdx);
+                else
+                  aggregates.set(Symbol(source), groupIdx);
+
+                initializers.push(
+                  types.assignmentExpression(
+                    "=",
+                    groupExpression(groupIdx),
+                    types.callExpression(types.identifier(callee.node.name), [groupExpression(groupIdx)].concat(node.arguments))
+                  )
+                );
+              }
 
               path.replaceWith(types.memberExpression(groupExpression(groupIdx), types.identifier("value")));
-              ++groupIdx;
             }
           }
         }
@@ -467,11 +751,37 @@ class TermGroups {
         enter(path) {
           let { node, scope } = path;
 
-          if (isTermRoot(path)) {
+          if (isTermRoot(path) && !subqueryVariables.has(node)) {
             termDependencies = {};
             termNode = node;
           }
 
+          if (subqueryVariables.has(node)) {
+            allDependencies[node.name] = termDependencies[node.name] = subqueryVariables.get(node);
+            return;
+          }
+
+          // A scalar subquery, e.g. "scalar(${subquery})", is replaced by a variable naming the relation that
+          // provides its value.
+          if (path.isCallExpression() && types.isIdentifier(node.callee, { name: "scalar" }) &&
+              !scope.hasBinding("scalar") && !(schema !== undefined && has.call(schema, "scalar"))) {
+            if (options.scalar === undefined)
+              throw new Error("Call to 'scalar' is not allowed in this context.");
+            if (node.arguments.length !== 1 || !isSubstitution(node.arguments[0]))
+              throw new Error("Argument of 'scalar' must be a query.");
+
+            let subsNode = node.arguments[0].property;
+            this.substitutionNodes.push(subsNode);
+            let { name, dependency } = options.scalar(this.substitutions[subsNode.value]);
+
+            let identifier = types.identifier(name);
+            subqueryVariables.set(identifier, dependency);
+            if (termNode === node)
+              termNode = identifier;
+            path.replaceWith(identifier);
+            return;
+          }
+
           if (path.isReferencedIdentifier()) {
             if (!scope.hasBinding(node.name)) {
               if (node.name[0] === "$" && node.name !== "$$this") {
@@ -485,11 +795,19 @@ class TermGroups {
                     types.memberExpression(thisExpression, types.identifier("params")),
                     types.identifier(node.name.substring(1))));
                 }
+              } else if (has.call(SUBQUERY_JOINS, node.name) && path.parentPath.isCallExpression({ callee: node }) &&
+                         !(schema !== undefined && has.call(schema, node.name))) {
+                throw new Error(`'${node.name}' may only test a subquery in a conjunct of a where predicate.`);
               } else if(!has.call(expressionScope, node.name)) {
                 if (schema !== undefined) {
-                  if (!has.call(schema, node.name))
+                  let dependency;
+                  if (has.call(schema, node.name))
+                    dependency = schema[node.name];
+                  else if (options.outer !== undefined)
+                    dependency = options.outer(node.name);
+                  else
                     throw new Error(`No relation matching variable "${node.name}".`);
-                  allDependencies[node.name] = termDependencies[node.name] = schema[node.name];
+                  allDependencies[node.name] = termDependencies[node.name] = dependency;
                 } else {
                   allDependencies[node.name] = termDependencies[node.name] = unknownDependency;
                 }
@@ -513,13 +831,23 @@ class TermGroups {
     
     if (options.compileAll) {
       let expression = ast.program.body[0].expression;
+      let keyPath = initializers.length === 0 ? extractKeyPath(expression) : undefined;
       expression = types.sequenceExpression(initializers.concat(expression));
       let fn = compileNode(expression, allDependencies, this.substitutions);
-      return new Expression(fn, allDependencies);
+      let result = new Expression(fn, allDependencies);
+
+      // Set when the expression is nothing but a key path of a relation, e.g. "employee.name".
+      if (keyPath)
+        result.keyPath = keyPath;
+
+      return result;
     }
   }
 
   tree() {
+    // Terms are moved elsewhere once merged.
+    if (this.terms === undefined)
+      return [];
     return this.terms.map(t => t.tree());
   }
 }
@@ -534,6 +862,7 @@ const parseExpression = (template, schema, substitutions, options) => {
 
 module.exports = {
   Expression,
+  OuterDependency,
   PrimaryKey,
   TermGroups,
   expressionScope,
@@ -1,10 +1,11 @@
 "use strict";
 
 const { TermGroups } = require("./expression");
-const { RangeIntersection } = require("./range");
+const { RangeExpression, RangeIntersection, RangeList, RangeUnion, intersectRanges } = require("./range");
 const { TransactionNode } = require("./transaction");
 const { traverse } = require("./traverse");
-const { Join, NamedRelation, OrderBy, Relation, ObjectStore, Where } = require("./tree");
+const { Distinct, GroupBy, Join, Limit, Memoize, NamedRelation, OrderBy, Relation, ObjectStore, ScalarSubquery,
+        Select, Where } = require("./tree");
 
 const has = Object.prototype.hasOwnProperty;
 
@@ -12,17 +13,291 @@ const getAvailableSchema = (path) => {
   let availableSchema = path.node.schema();
   while (path.parentPath) {
     let parentPath = path.parentPath;
-    if (parentPath.node instanceof Join && parentPath.node.rRelation == path.node) {
-      availableSchema = Object.assign({}, parentPath.node.lRelation.schema(), availableSchema);
+    // Except for hash and lookup joins, the right relation of a join is executed once for each tuple of the left.
+    let join = parentPath.node;
+    if (join instanceof Join && join.rRelation == path.node && join.algorithm === "nestedLoop") {
+      availableSchema = Object.assign({}, join.lRelation.schema(), availableSchema);
     }
+
+    // Likewise a scalar subquery for each tuple of its relation.
+    let scalar = parentPath.node;
+    if (scalar instanceof ScalarSubquery && scalar.subquery == path.node)
+      availableSchema = Object.assign({}, scalar.relation.schema(), availableSchema);
+
     path = parentPath;
   }
   return availableSchema;
 }
 
+const isIndexed = (relation, keyPath) => {
+  if (!(relation instanceof ObjectStore))
+    return false;
+
+  let indexKeyPaths = relation.indexKeyPaths();
+  if (indexKeyPaths === undefined)
+    return true;
+
+  return indexKeyPaths.some(indexKeyPath => {
+    if (Array.isArray(indexKeyPath))
+      return indexKeyPath[0] === keyPath;
+    else
+      return indexKeyPath === keyPath;
+  });
+}
+
+// Returns the relations joined by a tree of inner joins, in order, and appends the terms of the joins to terms.
+const flattenInnerJoins = (relation, terms) => {
+  if (!(relation instanceof Join) || relation.type !== "inner")
+    return [relation];
+
+  terms.push(...relation.termGroups.terms);
+  return flattenInnerJoins(relation.lRelation, terms).concat(flattenInnerJoins(relation.rRelation, terms));
+}
+
+const termSatisfied = (term, names, outerNames) => {
+  for (let n in term.dependencies) {
+    if (has.call(term.dependencies, n) && !names.has(n) && !outerNames.has(n))
+      return false;
+  }
+  return true;
+}
+
+// Returns the key ranges of the relation that terms satisfied by the relations in names would hoist into it.
+const joinKeyRanges = (relation, terms, names, outerNames) => {
+  let keyRanges = {};
+  terms.forEach(term => {
+    if (!termSatisfied(term, names, outerNames))
+      return;
+
+    let termKeyRanges = term.keyRanges();
+    if (termKeyRanges && has.call(termKeyRanges, relation.name))
+      Object.assign(keyRanges, termKeyRanges[relation.name]);
+  });
+  return keyRanges;
+}
+
+// Scores the execution of the relations in the given order: the number of them that can look up tuples by index
+// and, if every relation can estimate its tuples, the estimated number of tuples produced in total.
+const scoreJoinOrder = (relations, terms, outerNames) => {
+  let names = new Set();
+  let indexed = 0;
+  let cost = 0;
+  let rows = 1;
+  relations.forEach(relation => {
+    Object.keys(relation.schema()).forEach(n => names.add(n));
+    if (!(relation instanceof NamedRelation) || !(relation.relation instanceof ObjectStore)) {
+      cost = undefined;
+      return;
+    }
+
+    let keyRanges = joinKeyRanges(relation, terms, names, outerNames);
+    if (Object.keys(keyRanges).some(keyPath => isIndexed(relation.relation, keyPath)))
+      ++indexed;
+
+    let estimate = cost === undefined ? undefined : relation.relation.estimateRows(keyRanges);
+    if (estimate === undefined) {
+      cost = undefined;
+    } else {
+      rows *= estimate;
+      cost += rows;
+    }
+  });
+  return { indexed, cost };
+}
+
+const isBetterJoinOrder = (a, b) => {
+  if (a.indexed !== b.indexed)
+    return a.indexed > b.indexed;
+  return a.cost !== undefined && b.cost !== undefined && a.cost < b.cost;
+}
+
+// Starting with the given relation, repeatedly appends whichever remaining relation scores best, preferring
+// earlier relations when scores are equal.
+const greedyJoinOrder = (first, relations, terms, outerNames) => {
+  let order = [first];
+  let remaining = relations.filter(r => r !== first);
+  while (remaining.length) {
+    let best, bestScore;
+    remaining.forEach(relation => {
+      let score = scoreJoinOrder(order.concat(relation), terms, outerNames);
+      if (best === undefined || isBetterJoinOrder(score, bestScore)) {
+        best = relation;
+        bestScore = score;
+      }
+    });
+    order.push(best);
+    remaining = remaining.filter(r => r !== best);
+  }
+  return order;
+}
+
+// Reorders trees of inner joins so that relations that can look up tuples by index, using key ranges hoisted from
+// terms of the joins and of Wheres directly above, are on the right side of a join, where they are probed once
+// for each tuple of the left side. With statistics, the order estimated to produce fewest tuples in total is
+// preferred. The relations are rejoined as a left-deep tree, with each term on the lowest join that can evaluate
+// it. Only inner joins are reordered; outer and anti joins are reordered, if at all, only within their sides.
+// Must run before chooseJoinAlgorithms.
+const reorderJoins = (root) => {
+  return traverse(root, {
+    Join(path) {
+      let { node } = path;
+      if (node.type !== "inner")
+        return;
+
+      let parent = path.parent;
+      if (parent instanceof Join && parent.type === "inner")
+        return;
+
+      let terms = [];
+      let relations = flattenInnerJoins(node, terms);
+      if (relations.some(r => r.schema() === undefined))
+        return;
+
+      let names = new Set();
+      relations.forEach(r => Object.keys(r.schema()).forEach(n => names.add(n)));
+
+      // Terms of Wheres above are considered when scoring but left where they are.
+      let allTerms = terms.slice();
+      for (let parentPath = path.parentPath; parentPath && parentPath.node instanceof Where; parentPath = parentPath.parentPath)
+        allTerms.push(...parentPath.node.termGroups.terms);
+
+      let outerNames = new Set();
+      allTerms.forEach(term => {
+        for (let n in term.dependencies) {
+          if (has.call(term.dependencies, n) && !names.has(n))
+            outerNames.add(n);
+        }
+      });
+
+      let best = relations;
+      let bestScore = scoreJoinOrder(relations, allTerms, outerNames);
+      relations.forEach(first => {
+        let order = greedyJoinOrder(first, relations, allTerms, outerNames);
+        let score = scoreJoinOrder(order, allTerms, outerNames);
+        if (isBetterJoinOrder(score, bestScore)) {
+          best = order;
+          bestScore = score;
+        }
+      });
+
+      if (best === relations)
+        return;
+
+      let joinNames = new Set(Object.keys(best[0].schema()));
+      let join = best[0];
+      for (let i = 1; i < best.length; ++i) {
+        Object.keys(best[i].schema()).forEach(n => joinNames.add(n));
+        join = new Join(join, best[i], "inner");
+        join.termGroups.terms = terms.filter(term => termSatisfied(term, joinNames, outerNames));
+        terms = terms.filter(term => !termSatisfied(term, joinNames, outerNames));
+      }
+      join.termGroups.terms.push(...terms);
+
+      path.replaceWith(join);
+    },
+  });
+}
+
+// Whether any expression within the relation depends on a relation of the schema, as those of a correlated
+// subquery might.
+const dependsOn = (relation, schema) => {
+  let result = false;
+  traverse(relation, {
+    enter(path) {
+      if (!(path.node instanceof Relation))
+        return;
+
+      relationFunctions(path.node).forEach(({ dependencies }) => {
+        for (let n in dependencies) {
+          if (has.call(dependencies, n) && has.call(schema, n) && dependencies[n].isSameDependency(schema[n]))
+            result = true;
+        }
+      });
+    },
+  });
+  return result;
+}
+
+// A join on equality terms, where the right relation cannot look up matching tuples with an index, is executed
+// as a hash join, which executes the right relation only once rather than once per left tuple. Must run before
+// hoistPredicates, which must not then hoist terms depending on the left relation into the right.
+//
+// A semi join on a single equality, e.g. testing "book.isbn in ${subquery}", where instead the left relation can
+// look up tuples by index, is executed as a lookup join. That executes the right relation once and then looks up
+// the left tuples matching its distinct values, rather than scanning the left relation.
+const chooseJoinAlgorithms = (root) => {
+  return traverse(root, {
+    Join(path) {
+      let { node } = path;
+      let lSchema = node.lRelation.schema();
+      let rSchema = node.rRelation.schema();
+      if (lSchema === undefined || rSchema === undefined)
+        return;
+
+      if (dependsOn(node.rRelation, lSchema))
+        return;
+
+      let hashKeys = [];
+      let otherTerms = [];
+      node.termGroups.terms.forEach(term => {
+        let equiJoin = term.equiJoin(lSchema, rSchema);
+        if (equiJoin)
+          hashKeys.push(equiJoin);
+        else
+          otherTerms.push(term);
+      });
+
+      if (hashKeys.length === 0)
+        return;
+
+      let rRelation = node.rRelation;
+      if (rRelation instanceof NamedRelation) {
+        for (let i = 0; i < hashKeys.length; ++i) {
+          let { keyPath } = hashKeys[i];
+          if (keyPath && keyPath.dependency === rRelation.name && isIndexed(rRelation.relation, keyPath.path))
+            return;
+        }
+      }
+
+      node.algorithm = "hash";
+      node.hashKeys = hashKeys.map(({ left, right }) => ({ left, right }));
+      node.termGroups.terms = otherTerms;
+
+      let lRelation = node.lRelation;
+      if (node.type === "semi" && hashKeys.length === 1 && otherTerms.length === 0 &&
+          lRelation instanceof NamedRelation) {
+        let { leftKeyPath } = hashKeys[0];
+        if (leftKeyPath && leftKeyPath.dependency === lRelation.name && isIndexed(lRelation.relation, leftKeyPath.path)) {
+          node.algorithm = "lookup";
+          lRelation.keyRanges[leftKeyPath.path] = new RangeList(node.lookupValuesFn());
+        }
+      }
+    },
+  });
+}
+
 const hoistPredicates = (root) => {
   let available = new TermGroups();
 
+  // Removes and returns the available terms that depend only on relations in availableSchema.
+  const takeSatisfiedTerms = (availableSchema) => {
+    let terms = [];
+    available.terms = available.terms.filter(term => {
+      let dependencies = term.dependencies;
+      let satisfied = true;
+      for (let n in dependencies) {
+        if (has.call(dependencies, n))
+          satisfied = satisfied && (dependencies[n].isSameDependency(availableSchema[n]));
+      }
+
+      if (satisfied)
+        terms.push(term);
+
+      return !satisfied;
+    });
+    return terms;
+  }
+
   let result = traverse(root, {
     Where: {
       enter(path) {
@@ -46,23 +321,7 @@ const hoistPredicates = (root) => {
       exit(path) {
         let { node } = path;
 
-        let availableSchema = getAvailableSchema(path);
-
-        let terms = [];
-        available.terms = available.terms.filter(term => {
-          let dependencies = term.dependencies;
-          let satisfied = true;
-          for (let n in dependencies) {
-            if (has.call(dependencies, n))
-              satisfied = satisfied && (dependencies[n].isSameDependency(availableSchema[n]));
-          }
-
-          if (satisfied)
-            terms.push(term);
-
-          return !satisfied;
-        });
-
+        let terms = takeSatisfiedTerms(getAvailableSchema(path));
         if (terms.length) {
           let mergedTerm = terms.reduce((merged, term) => merged.merge(term))
           node.predicates.push(mergedTerm.expression());
@@ -72,7 +331,7 @@ const hoistPredicates = (root) => {
             for (let keyPath in keyRanges[node.name]) {
               if (has.call(keyRanges[node.name], keyPath)) {
                 if (has.call(node.keyRanges, keyPath))
-                  node.keyRanges[keyPath] = new RangeIntersection(node.keyRanges[keyPath], keyRanges[node.name][keyPath]);
+                  node.keyRanges[keyPath] = intersectRanges(node.keyRanges[keyPath], keyRanges[node.name][keyPath]);
                 else
                   node.keyRanges[keyPath] = keyRanges[node.name][keyPath];
               }
@@ -98,7 +357,7 @@ const hoistPredicates = (root) => {
 
             let rDepends = false;
             for (let n in dependencies) {
-              if (has.call(dependencies, n))
+              if (has.call(dependencies, n) && rSchema !== undefined)
                 rDepends = rDepends || dependencies[n].isSameDependency(rSchema[n]);
             }
 
@@ -115,6 +374,30 @@ const hoistPredicates = (root) => {
 
 
         available.merge(path.node.termGroups);
+      },
+
+      exit(path) {
+        let { node } = path;
+
+        // Terms that depend on both sides of a hash join cannot be evaluated by either side.
+        if (node.algorithm === "hash") {
+          let terms = takeSatisfiedTerms(getAvailableSchema(path));
+          if (terms.length) {
+            let mergedTerm = terms.reduce((merged, term) => merged.merge(term))
+            node.probePredicates.push(mergedTerm.expression());
+          }
+        }
+      }
+    },
+
+    // Terms that depend on the value of a scalar subquery are evaluated once it is known.
+    ScalarSubquery: {
+      exit(path) {
+        let terms = takeSatisfiedTerms(getAvailableSchema(path));
+        if (terms.length) {
+          let mergedTerm = terms.reduce((merged, term) => merged.merge(term))
+          path.node.predicates.push(mergedTerm.expression());
+        }
       }
     },
 
@@ -133,6 +416,230 @@ const hoistPredicates = (root) => {
   return result;
 }
 
+// An OrderBy directly above the scan of an object store, which can walk an index in the required order, is
+// replaced by walking that index forwards or backwards. Tuples are then produced without first collecting and
+// sorting all of them and a Limit above can stop the cursor early. Must run after hoistPredicates, which merges
+// nested OrderBys and determines the key ranges of the scan.
+const useIndexOrder = (root) => {
+  return traverse(root, {
+    OrderBy: {
+      exit(path) {
+        let { node } = path;
+
+        let scan = node.relation;
+        if (!(scan instanceof NamedRelation) || !(scan.relation instanceof ObjectStore))
+          return;
+        if (scan.limit !== undefined || scan.offset !== undefined || scan.order !== undefined)
+          return;
+
+        let { order, nulls } = node.ordering[0];
+        let keyPaths = [];
+        for (let i = 0; i < node.ordering.length; ++i) {
+          let ordering = node.ordering[i];
+          let { keyPath } = ordering.expression;
+          if (keyPath === undefined || keyPath.dependency !== scan.name || ordering.order !== order)
+            return;
+          keyPaths.push(keyPath.path);
+        }
+
+        // Don't forgo an index that could be used to look up the key ranges.
+        for (let keyPath in scan.keyRanges) {
+          if (has.call(scan.keyRanges, keyPath) && !keyPaths.includes(keyPath))
+            return;
+        }
+
+        if (!scan.relation.supportsOrder(keyPaths))
+          return;
+
+        scan.order = {
+          keyPaths,
+          direction: order < 0 ? "prev" : "next",
+          nulls,
+        };
+        path.replaceWith(scan);
+      }
+    },
+  });
+}
+
+// A Limit directly above the scan of an object store, with nothing in between but projections, which preserve
+// the number and order of tuples, is applied by the object store itself so that the cursor can stop early.
+const pushDownLimits = (root) => {
+  return traverse(root, {
+    Limit: {
+      exit(path) {
+        let { node } = path;
+
+        let scan = node.relation;
+        while (scan instanceof Select)
+          scan = scan.relation;
+
+        if (!(scan instanceof NamedRelation) || !(scan.relation instanceof ObjectStore))
+          return;
+        if (scan.predicates.length !== 0 || scan.limit !== undefined || scan.offset !== undefined)
+          return;
+
+        scan.limit = node.count;
+        scan.offset = node.offset;
+        path.replaceWith(node.relation);
+      }
+    },
+  });
+}
+
+// Returns the compiled functions of the expressions a relation evaluates itself, excluding those of the
+// relations it contains.
+const relationFunctions = (node) => {
+  let fns = [];
+  const addExpression = (expression) => {
+    if (expression !== undefined)
+      fns.push({ fn: expression.fn, dependencies: expression.dependencies });
+  }
+  const addTerms = (termGroups) => {
+    if (termGroups && termGroups.terms)
+      termGroups.terms.forEach(term => addExpression(term.expression()));
+  }
+  const addRange = (range) => {
+    if (range instanceof RangeExpression) {
+      [range.lowerFn, range.upperFn].forEach(fn => {
+        if (fn !== undefined)
+          fns.push({ fn, dependencies: fn.dependencies });
+      });
+    } else if (range instanceof RangeList) {
+      fns.push({ fn: range.valuesFn, dependencies: range.valuesFn.dependencies });
+    } else if (range instanceof RangeUnion || range instanceof RangeIntersection) {
+      addRange(range.left);
+      addRange(range.right);
+    }
+  }
+
+  if (node instanceof Select) {
+    addExpression(node.selector);
+  } else if (node instanceof GroupBy) {
+    addExpression(node.selector);
+    addExpression(node.grouper);
+    node.having.forEach(addExpression);
+  } else if (node instanceof Distinct) {
+    addExpression(node.expression);
+  } else if (node instanceof OrderBy) {
+    node.ordering.forEach(o => addExpression(o.expression));
+  } else if (node instanceof Join) {
+    node.predicates.forEach(addExpression);
+    node.probePredicates.forEach(addExpression);
+    node.hashKeys.forEach(k => {
+      addExpression(k.left);
+      addExpression(k.right);
+    });
+    addTerms(node.termGroups);
+  } else if (node instanceof Where) {
+    node.predicates.forEach(addExpression);
+    addTerms(node.termGroups);
+  } else if (node instanceof ScalarSubquery) {
+    node.predicates.forEach(addExpression);
+  } else if (node instanceof NamedRelation) {
+    node.predicates.forEach(addExpression);
+    for (let keyPath in node.keyRanges) {
+      if (has.call(node.keyRanges, keyPath))
+        addRange(node.keyRanges[keyPath]);
+    }
+  }
+  return fns;
+}
+
+// Relations through which the tuples of their input relation reach the relation above unchanged, such that any
+// field read from them is read by an expression of some relation.
+const isTransparent = (node) => {
+  return node instanceof Where || node instanceof Join || node instanceof OrderBy || node instanceof Limit ||
+         node instanceof Memoize || node instanceof ScalarSubquery ||
+         (node instanceof Distinct && node.expression !== undefined);
+}
+
+// When every tuple of an object store scan is consumed by expressions that read only certain key paths of it, e.g.
+// by the selector of a Select, the scan is told which key paths those are. An object store might then avoid
+// reading whole records. Scans whose tuples are produced by the query, written, or combined as a whole, as by set
+// operations, are left alone. Must run after the other passes that move expressions between relations.
+const analyzeFields = (root) => {
+  let scans = [];
+  let projected = [false];
+  traverse(root, {
+    enter(path) {
+      let { node } = path;
+      if (!(node instanceof Relation))
+        return;
+
+      if (node instanceof NamedRelation && node.relation instanceof ObjectStore)
+        scans.push({ scan: node, projected: projected[projected.length - 1] });
+
+      let inner;
+      if (node instanceof Select || node instanceof GroupBy)
+        inner = true;
+      else if (isTransparent(node))
+        inner = projected[projected.length - 1];
+      else
+        inner = false;
+      projected.push(inner);
+    },
+
+    exit(path) {
+      if (path.node instanceof Relation)
+        projected.pop();
+    },
+  });
+
+  // The key paths read from the tuples of each name, or null if they are used in some other way.
+  let fields = new Map();
+  const use = (name, paths) => {
+    let previous = fields.get(name);
+    if (previous === null)
+      return;
+    fields.set(name, paths === null ? null : (previous || []).concat(paths));
+  }
+
+  let relations = [];
+  traverse(root, {
+    enter(path) {
+      if (path.node instanceof Relation)
+        relations.push(path.node);
+    },
+  });
+
+  for (let relation of relations) {
+    for (let { fn, dependencies } of relationFunctions(relation)) {
+      if (fn.fields !== undefined) {
+        for (let name in fn.fields) {
+          if (has.call(fn.fields, name))
+            use(name, fn.fields[name]);
+        }
+      } else if (dependencies !== undefined) {
+        for (let name in dependencies) {
+          if (has.call(dependencies, name))
+            use(name, null);
+        }
+      } else {
+        // Nothing is known of what the function reads.
+        return root;
+      }
+    }
+  }
+
+  for (let { scan, projected } of scans) {
+    if (!projected || !scan.relation.supportsFields())
+      continue;
+
+    let paths = fields.get(scan.name);
+    if (paths === null)
+      continue;
+
+    // The object store also reads the key paths on which it filters and orders.
+    paths = (paths || []).concat(Object.keys(scan.keyRanges));
+    if (scan.order !== undefined)
+      paths = paths.concat(scan.order.keyPaths);
+    scan.fields = Array.from(new Set(paths));
+  }
+
+  return root;
+}
+
 const prepareTransaction = (root) => {
   let db;
   let objectStoreNames = new Set();
@@ -160,13 +667,23 @@ const prepareTransaction = (root) => {
 }
 
 const finalize = (root) => {
+  root = reorderJoins(root);
+  root = chooseJoinAlgorithms(root);
   root = hoistPredicates(root);
+  root = useIndexOrder(root);
+  root = pushDownLimits(root);
+  root = analyzeFields(root);
   root = prepareTransaction(root);
   return root;
 }
 
 module.exports = {
+  analyzeFields,
+  chooseJoinAlgorithms,
   finalize,
   hoistPredicates,
   prepareTransaction,
+  pushDownLimits,
+  reorderJoins,
+  useIndexOrder,
 }
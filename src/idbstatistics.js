@@ -0,0 +1,126 @@
+"use strict";
+
+const { nextUp } = require("./range");
+
+// Statistics about the records of IndexedDB object stores and their indexes, used by the planner to estimate how
+// many records a key range will select. They are gathered on request, since counting distinct keys walks every
+// index, and cached until the database's version changes.
+
+const requestPromise = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = (event) => resolve(event.target.result);
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Maps database name to { version, objectStores }, where objectStores maps object store name to statistics.
+const databases = new Map();
+
+const countDistinct = (index) => {
+  return new Promise((resolve, reject) => {
+    let distinct = 0;
+    let request = index.openKeyCursor(null, "nextunique");
+    request.onsuccess = (event) => {
+      let cursor = event.target.result;
+      if (cursor) {
+        ++distinct;
+        cursor.continue();
+      } else {
+        resolve(distinct);
+      }
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Counts the distinct values of the leading key path of a composite key, continuing the cursor past all the keys
+// with each.
+const countLeadingDistinct = (source) => {
+  return new Promise((resolve, reject) => {
+    let distinct = 0;
+    let request = source.openKeyCursor(null, "next");
+    request.onsuccess = (event) => {
+      let cursor = event.target.result;
+      if (cursor) {
+        ++distinct;
+        cursor.continue([nextUp(cursor.key[0])]);
+      } else {
+        resolve(distinct);
+      }
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Adds leadingDistinct to the statistics of an object store or index with a composite key.
+const addLeadingDistinct = (source, statistics) => {
+  if (!Array.isArray(source.keyPath) || source.multiEntry)
+    return statistics;
+  return countLeadingDistinct(source).then(leadingDistinct => Object.assign(statistics, { leadingDistinct }));
+}
+
+const gatherObjectStore = (store) => {
+  let indexNames = Array.from(store.indexNames);
+  let indexes = indexNames.map(n => {
+    let index = store.index(n);
+    return Promise.all([requestPromise(index.count()), countDistinct(index)]).then(([count, distinct]) => {
+      return addLeadingDistinct(index, { count, distinct });
+    });
+  });
+
+  let count = requestPromise(store.count()).then(count => addLeadingDistinct(store, { count }));
+  return Promise.all([count, ...indexes]).then(([{ count, leadingDistinct }, ...indexes]) => {
+    let statistics = { count, indexes: {} };
+    if (leadingDistinct !== undefined)
+      statistics.leadingDistinct = leadingDistinct;
+    indexNames.forEach((n, i) => {
+      statistics.indexes[n] = indexes[i];
+    });
+    return statistics;
+  });
+}
+
+// Counts the records of the named object stores, all of them by default, and, for each of their indexes, the
+// records and distinct keys. Resolves once the statistics are available to the planner.
+const gatherStatistics = (db, objectStoreNames=undefined) => {
+  if (objectStoreNames === undefined)
+    objectStoreNames = Array.from(db.objectStoreNames);
+  if (objectStoreNames.length === 0)
+    return Promise.resolve();
+
+  let transaction = db.transaction(objectStoreNames, "readonly");
+  let gathered = objectStoreNames.map(n => gatherObjectStore(transaction.objectStore(n)));
+
+  return Promise.all(gathered).then(gathered => {
+    let database = databases.get(db.name);
+    if (database === undefined || database.version !== db.version) {
+      database = { version: db.version, objectStores: new Map() };
+      databases.set(db.name, database);
+    }
+
+    objectStoreNames.forEach((n, i) => {
+      database.objectStores.set(n, gathered[i]);
+    });
+  });
+}
+
+// Returns the statistics of the named object store, i.e. its count and, for each index name, the count and number
+// of distinct keys of the index and, for composite keys, the number of distinct leading keys, or undefined if none
+// were gathered for the database's current version.
+const getStatistics = (db, objectStoreName) => {
+  let database = databases.get(db.name);
+  if (database === undefined || database.version !== db.version)
+    return undefined;
+  return database.objectStores.get(objectStoreName);
+}
+
+const clearStatistics = () => {
+  databases.clear();
+}
+
+module.exports = {
+  clearStatistics,
+  gatherStatistics,
+  getStatistics,
+  requestPromise,
+};
@@ -1,13 +1,17 @@
 const aggregate = require("./aggregate");
+const explain = require("./explain");
 const expression = require("./expression");
 const finalize = require("./finalize");
+const idbstatistics = require("./idbstatistics");
 const indexeddb = require("./indexeddb");
 const jsonobjectstore = require("./jsonobjectstore");
+const live = require("./live");
 const querybuilder = require("./querybuilder");
 const range = require("./range");
+const trace = require("./trace");
 const transaction = require("./transaction");
 const traverse = require("./traverse");
 const tree = require("./tree");
 
 module.exports = Object.assign({
-}, aggregate, expression, finalize, indexeddb, jsonobjectstore, querybuilder, range, transaction, traverse, tree);
+}, aggregate, explain, expression, finalize, idbstatistics, indexeddb, jsonobjectstore, live, querybuilder, range, trace, transaction, traverse, tree);
@@ -1,13 +1,17 @@
 "use strict";
 
+const { ValueSet } = require("valuecollection");
+
 const { Observable } = require("./rx");
 
 const { IDBKeyRange } = require("./idbbase");
-const { Range, compositeRange, includes } = require("./range");
+const { Range, compositeRange, includes, isValidKey, nextUp } = require("./range");
 const { traversePath } = require("./traverse");
 const { PrimaryKey } = require("./expression");
+const { getStatistics, requestPromise } = require("./idbstatistics");
+const { trace } = require("./trace");
 const { Transaction, getTransaction } = require("./transaction");
-const { ObjectStore } = require("./tree");
+const { ObjectStore, applyLimit } = require("./tree");
 
 const has = Object.prototype.hasOwnProperty;
 let identity = x => x;
@@ -23,17 +27,75 @@ const idbRange = (range) => {
     return IDBKeyRange.upperBound(range.upper, range.upperOpen);
 }
 
-const rangeStream = (source, idbRange) => {
+const setKeyPath = (value, keyPath, key) => {
+  let path = keyPath.split(".");
+  for (let i = 0; i < path.length - 1; ++i) {
+    if (value[path[i]] === undefined)
+      value[path[i]] = {};
+    value = value[path[i]];
+  }
+  value[path[path.length - 1]] = key;
+}
+
+const setKey = (value, keyPath, key) => {
+  if (keyPath === null)
+    value[PrimaryKey] = key;
+  else if (Array.isArray(keyPath))
+    keyPath.forEach((p, i) => setKeyPath(value, p, key[i]));
+  else
+    setKeyPath(value, keyPath, key);
+}
+
+// Builds a partial record from the key and primary key of a key cursor.
+const keyOnlyValue = (source, cursor) => {
+  let store = source.objectStore || source;
+  let value = {};
+  setKey(value, store.keyPath, cursor.primaryKey);
+  if (source !== store)
+    setKey(value, source.keyPath, cursor.key);
+  return value;
+}
+
+// Number of records fetched by each getAll() request when batching.
+const DEFAULT_BATCH_SIZE = 100;
+
+const cursorStream = (source, idbRange, options) => {
   let keyPath = source.keyPath;
+  let { limit, offset, direction="next", statistics, keyOnly=false } = options;
   return Observable.create(observer => {
-    let request = source.openCursor(idbRange);
+    let advancing = offset > 0;
+    let remaining = limit;
+
+    let request = keyOnly ? source.openKeyCursor(idbRange, direction) : source.openCursor(idbRange, direction);
     request.onsuccess = function(event) {
+      if (observer.closed)
+        return;
+
+      if (statistics !== undefined)
+        ++statistics.cursorSteps;
+
       let cursor = event.target.result;
       if (cursor) {
-        cursor.continue();
-        if (keyPath === null)
-          cursor.value[PrimaryKey] = cursor.primaryKey;
-        observer.next(cursor.value);
+        if (advancing) {
+          advancing = false;
+          cursor.advance(offset);
+          return;
+        }
+
+        let value;
+        if (keyOnly) {
+          value = keyOnlyValue(source, cursor);
+        } else {
+          value = cursor.value;
+          if (keyPath === null)
+            value[PrimaryKey] = cursor.primaryKey;
+        }
+
+        if (remaining === undefined || --remaining > 0)
+          cursor.continue();
+        observer.next(value);
+        if (remaining === 0)
+          observer.complete();
       } else {
         observer.complete();
       }
@@ -44,6 +106,135 @@ const rangeStream = (source, idbRange) => {
   });
 }
 
+// The part of the range after the given key.
+const rangeAfter = (idbRange, key) => {
+  if (idbRange === null || idbRange.upper === undefined)
+    return IDBKeyRange.lowerBound(key, true);
+  else
+    return IDBKeyRange.bound(key, idbRange.upper, true, idbRange.upperOpen);
+}
+
+// Each batch resumes after the last key of the previous one, so that key must identify a record. The key of a
+// non-unique index does not and neither is the key of a unique index available without reading records.
+const canBatch = (source, options) => {
+  let { batchSize, direction="next", offset, keyOnly } = options;
+  if (!batchSize || direction !== "next" || offset > 0)
+    return false;
+  if (typeof source.getAll !== "function" || typeof source.getAllKeys !== "function")
+    return false;
+
+  let store = source.objectStore || source;
+  return source === store || (source.unique && !source.multiEntry && !keyOnly);
+}
+
+const batchStream = (source, idbRange, options) => {
+  let store = source.objectStore || source;
+  let { limit, batchSize, statistics, keyOnly=false } = options;
+
+  // The primary keys of records are fetched separately when they are not part of the records.
+  let fetchKeys = keyOnly || store.keyPath === null;
+  let getKey = keyPathGetter(source);
+
+  return Observable.create(observer => {
+    let remaining = limit;
+
+    const fetch = (range) => {
+      let count = remaining === undefined ? batchSize : Math.min(batchSize, remaining);
+      let requests = [];
+      if (!keyOnly)
+        requests.push(source.getAll(range, count));
+      if (fetchKeys)
+        requests.push(source.getAllKeys(range, count));
+
+      let pending = requests.length;
+      const onsuccess = () => {
+        if (--pending > 0 || observer.closed)
+          return;
+
+        if (statistics !== undefined)
+          ++statistics.cursorSteps;
+
+        let keys = fetchKeys ? requests[requests.length - 1].result : undefined;
+        let values;
+        if (keyOnly) {
+          values = keys.map(key => {
+            let value = {};
+            setKey(value, store.keyPath, key);
+            return value;
+          });
+        } else {
+          values = requests[0].result;
+          if (store.keyPath === null)
+            values.forEach((value, i) => value[PrimaryKey] = keys[i]);
+        }
+
+        if (remaining !== undefined)
+          remaining -= values.length;
+
+        // The next batch is requested before producing this one, while the transaction is still active.
+        let more = values.length === count && remaining !== 0;
+        if (more)
+          fetch(rangeAfter(range, keys && source === store ? keys[keys.length - 1] : getKey(values[values.length - 1])));
+
+        for (let i = 0; i < values.length && !observer.closed; ++i)
+          observer.next(values[i]);
+        if (!more)
+          observer.complete();
+      };
+
+      requests.forEach(request => {
+        request.onsuccess = onsuccess;
+        request.onerror = function(event) {
+          observer.error(event.target.error);
+        };
+      });
+    }
+
+    fetch(idbRange);
+  });
+}
+
+// When options.offset is given, that many records are skipped with IDBCursor.advance() and when options.limit
+// is given, the cursor is not continued once that many records have been produced. options.direction is the
+// cursor direction, "next" by default. When options.statistics is given, its cursorSteps is incremented each time
+// the cursor moves. When options.keyOnly is true, a key cursor is opened and only the key paths of the source and
+// its object store are produced. When options.batchSize is given and the engine supports it, records are instead
+// fetched that many at a time with getAll() and getAllKeys(), each batch counting as one cursor step. When a
+// context is given, opening the cursor is traced.
+const rangeStream = (source, idbRange, options={}, context=undefined) => {
+  let { limit, direction="next", keyOnly=false } = options;
+  let batched = canBatch(source, options);
+  return Observable.defer(() => {
+    if (limit === 0)
+      return Observable.empty();
+
+    if (context !== undefined) {
+      let store = source.objectStore || source;
+      let event = {
+        type: "cursor",
+        database: store.transaction.db.name,
+        objectStore: store.name,
+        index: store === source ? undefined : source.name,
+        range: idbRange,
+        direction,
+        keyOnly,
+      };
+      if (batched)
+        event.batchSize = options.batchSize;
+      trace(context, event);
+    }
+
+    return batched ? batchStream(source, idbRange, options) : cursorStream(source, idbRange, options);
+  });
+}
+
+// Fraction of an object store's records estimated to be in key ranges that cannot be evaluated until execution,
+// when there are no statistics.
+const DEPENDENT_RANGE_SELECTIVITY = 0.1;
+
+// Fraction of an index's records estimated to be in a range that is not an equality.
+const RANGE_SELECTIVITY = 0.25;
+
 const getKeyPaths = (source) => {
   if (source.keyPath === null) {
     return { keyPaths: [] };
@@ -56,22 +247,55 @@ const getKeyPaths = (source) => {
   }
 }
 
-const usableKeyRanges = (keyRanges, keyPaths) => {
+// Only multiEntry key ranges, for array membership, can be looked up in multiEntry indexes and only they can be.
+const usableKeyRanges = (keyRanges, keyPaths, multiEntry=false) => {
   let ranges = [];
   for (let i = 0; i < keyPaths.length; ++i) {
     let keyPath = keyPaths[i];
-    if (!has.call(keyRanges, keyPath)) {
+    if (!has.call(keyRanges, keyPath) || keyRanges[keyPath].isMultiEntry() !== multiEntry) {
       return ranges;
     }
     let keyRange = keyRanges[keyPath];
     ranges.push(keyRange);
-    if (!keyRange.isEquality()) {
+    if (!keyRange.isDiscrete()) {
       return ranges;
     }
   }
   return ranges;
 }
 
+const isPrefix = (prefix, keyPaths) => {
+  if (prefix.length > keyPaths.length)
+    return false;
+  for (let i = 0; i < prefix.length; ++i) {
+    if (prefix[i] !== keyPaths[i])
+      return false;
+  }
+  return true;
+}
+
+// Records are absent from an index if they have no valid key at its key path.
+const missingKey = (keyPath) => {
+  let path = keyPath.split(".");
+  return (value) => {
+    for (let i = 0; i < path.length; ++i) {
+      if (value === undefined || value === null)
+        return true;
+      value = value[path[i]];
+    }
+    return !isValidKey(value);
+  };
+}
+
+// Whether every one of the fields is, or is within, a key path of the index or object store. The key of a
+// multiEntry index is only one element of the indexed array so does not cover it.
+const coversFields = (source, store, fields) => {
+  let keyPaths = getKeyPaths(store).keyPaths;
+  if (source !== store && !source.multiEntry)
+    keyPaths = keyPaths.concat(getKeyPaths(source).keyPaths);
+  return fields.every(field => keyPaths.some(keyPath => field === keyPath || field.startsWith(keyPath + ".")));
+}
+
 const keyPathSetterMemo = Object.create(null);
 keyPathSetterMemo["null"] = (tuple, key) => tuple[PrimaryKey] = key;
 
@@ -124,6 +348,54 @@ const keyPathGetter = (source) => {
   return getter;
 }
 
+// The key paths and indexes of an object store, read while planning a query, which has no transaction of its own
+// until it executes. It stands in for an IDBObjectStore where only the schema is needed.
+class ObjectStoreSchema {
+  constructor(store) {
+    this.name = store.name;
+    this.keyPath = store.keyPath;
+    this.autoIncrement = store.autoIncrement;
+    this.indexNames = Array.from(store.indexNames);
+    this.indexes = new Map(this.indexNames.map(n => {
+      let { name, keyPath, multiEntry, unique } = store.index(n);
+      return [n, { name, keyPath, multiEntry, unique }];
+    }));
+  }
+
+  index(name) {
+    return this.indexes.get(name);
+  }
+}
+
+// Maps IDBDatabase to { version, objectStores }, where objectStores maps object store name to its schema. A
+// database's schema changes only with its version.
+const schemas = new WeakMap();
+
+// Returns the schema of the named object store or undefined if it cannot be read, for example, while a
+// versionchange transaction is running. The schemas of all the database's object stores are read at once, in a
+// single transaction, and cached until the database's version changes.
+const getSchema = (db, objectStoreName) => {
+  let database = schemas.get(db);
+  if (database === undefined || database.version !== db.version) {
+    let objectStores = new Map();
+    let names = Array.from(db.objectStoreNames);
+    if (names.length) {
+      let transaction;
+      try {
+        transaction = db.transaction(names, "readonly");
+      } catch (error) {
+        return undefined;
+      }
+      names.forEach(n => objectStores.set(n, new ObjectStoreSchema(transaction.objectStore(n))));
+    }
+
+    database = { version: db.version, objectStores };
+    schemas.set(db, database);
+  }
+
+  return database.objectStores.get(objectStoreName);
+}
+
 class PersistentObjectStore extends ObjectStore {
   constructor(db, name) {
     super();
@@ -135,79 +407,454 @@ class PersistentObjectStore extends ObjectStore {
 
     this.db = db;
     this.name = name;
+
+    // Number of records read at a time with getAll(), where supported. Zero reads records one at a time with
+    // cursors.
+    this.batchSize = DEFAULT_BATCH_SIZE;
+  }
+
+  // Returns the object store and indexes that can look up records in the key ranges, in order of preference
+  // absent statistics: the primary key, then unique indexes, then others, each from last to first.
+  candidateIndexes(store, keyRanges) {
+    let candidates = [];
+    let { keyPaths, array } = getKeyPaths(store);
+    // Without a range for the leading key path of a composite key path, a skip scan might look up the ranges of
+    // the following key paths.
+    let skipScans = [];
+    const addSkipScan = (index, keyPaths, array) => {
+      if (!array || keyPaths.length < 2)
+        return;
+      let ranges = usableKeyRanges(keyRanges, keyPaths.slice(1));
+      if (ranges.length)
+        skipScans.push({ ranges, index, array, skipScan: true });
+    }
+
+    let ranges = usableKeyRanges(keyRanges, keyPaths);
+    if (ranges.length)
+      candidates.push({ ranges, index: store, array });
+    else
+      addSkipScan(store, keyPaths, array);
+
+    let unique = [];
+    let other = [];
+    for (let i = store.indexNames.length - 1; i >= 0; --i) {
+      let index = store.index(store.indexNames[i]);
+      let { keyPaths, array } = getKeyPaths(index);
+      let ranges = usableKeyRanges(keyRanges, keyPaths, index.multiEntry);
+      if (ranges.length)
+        (index.unique ? unique : other).push({ ranges, index, array });
+      else if (!index.multiEntry)
+        addSkipScan(index, keyPaths, array);
+    }
+
+    return candidates.concat(unique, other, skipScans);
   }
 
   chooseBestIndex(store, keyRanges) {
     if (keyRanges === undefined)
       return {};
 
-    // Primary key is always best.
-    let { keyPaths, array } = getKeyPaths(store);
-    let ranges = usableKeyRanges(keyRanges, keyPaths);
-    if (ranges.length)
-      return { ranges, index: store, array };
+    let candidates = this.candidateIndexes(store, keyRanges);
+
+    // Without statistics, the number of distinct leading keys, and so the cost of a skip scan, is unknown.
+    let statistics = getStatistics(this.db, this.name);
+    if (statistics === undefined)
+      return candidates.find(c => !c.skipScan) || {};
+
+    // With statistics, choose the index estimated to read the fewest records. A skip scan is chosen over scanning
+    // every record only if that is estimated to be cheaper.
+    let best = candidates.find(c => !c.skipScan) || {};
+    let bestCost = best.ranges === undefined ? statistics.count : this.estimateIndexCost(store, best, statistics);
+    for (let i = 0; i < candidates.length; ++i) {
+      let cost = this.estimateIndexCost(store, candidates[i], statistics);
+      if (cost < bestCost) {
+        best = candidates[i];
+        bestCost = cost;
+      }
+    }
 
-    let best = {};
+    return best;
+  }
+
+  // Estimates the number of records selected by the chosen index and key ranges plus, for a skip scan, the number
+  // of distinct leading keys to be skipped between.
+  estimateIndexCost(store, best, statistics) {
+    let rows = this.estimateIndexRows(store, best, statistics);
+    if (!best.skipScan || rows === undefined)
+      return rows;
+
+    let source = best.index;
+    let indexStatistics = source === store ? statistics : statistics.indexes[source.name];
+    if (indexStatistics.leadingDistinct === undefined)
+      return undefined;
+    return rows + indexStatistics.leadingDistinct;
+  }
+
+  // Estimates from statistics the number of records selected by the chosen index and key ranges, assuming each
+  // key path of a composite key equally selective and keys evenly distributed.
+  estimateIndexRows(store, best, statistics) {
+    let source = best.index || store;
+    let indexStatistics = source === store ? statistics : statistics.indexes[source.name];
+    if (indexStatistics === undefined)
+      return undefined;
+
+    let { count } = indexStatistics;
+    if (best.ranges === undefined)
+      return count;
+
+    let distinct = source === store ? count : indexStatistics.distinct;
+    let { keyPaths } = getKeyPaths(source);
+    // Ranges following the first that is not an equality only filter the records read.
+    let equalities = 0;
+    while (equalities < best.ranges.length && best.ranges[equalities].isEquality())
+      ++equalities;
+
+    let rows = count;
+    if (distinct > 0)
+      rows /= Math.pow(distinct, equalities / keyPaths.length);
+    if (equalities < best.ranges.length)
+      rows *= RANGE_SELECTIVITY;
+    return rows;
+  }
+
+  // Returns the object store itself if its primary key is ordered by keyPaths. Otherwise returns the index with
+  // exactly keyPaths as its key path, if any. Composite indexes are not considered because records absent from
+  // them may belong anywhere in the order.
+  chooseOrderedIndex(store, keyPaths) {
+    if (isPrefix(keyPaths, getKeyPaths(store).keyPaths))
+      return store;
+
+    if (keyPaths.length !== 1)
+      return undefined;
 
     for (let i = 0; i < store.indexNames.length; ++i) {
-      let n = store.indexNames[i];
-      let index = store.index(n);
-      if (!index.multiEntry) {
-        let { keyPaths, array } = getKeyPaths(index);
-        let ranges = usableKeyRanges(keyRanges, keyPaths);
-        if (ranges.length)
-          best = { ranges, index, array };
+      let index = store.index(store.indexNames[i]);
+      if (!index.multiEntry && index.keyPath === keyPaths[0])
+        return index;
+    }
+
+    return undefined;
+  }
+
+  // Chooses the object store or index to walk and the key ranges to look up in it.
+  chooseIndex(store, keyRanges, options={}) {
+    if (!options.order)
+      return this.chooseBestIndex(store, keyRanges);
+
+    let { keyPaths } = options.order;
+    let index = this.chooseOrderedIndex(store, keyPaths);
+    if (index === undefined)
+      throw new Error(`No index on '${this.name}' ordered by ${keyPaths.join(", ")}.`);
+
+    let { keyPaths: indexKeyPaths, array } = getKeyPaths(index);
+    let best = { index, array };
+    if (keyRanges !== undefined) {
+      let ranges = usableKeyRanges(keyRanges, indexKeyPaths);
+      if (ranges.length) {
+        best.ranges = ranges;
+      } else if (array && indexKeyPaths.length >= 2) {
+        // A skip scan also reads records in the order of the index.
+        let skipScan = { ranges: usableKeyRanges(keyRanges, indexKeyPaths.slice(1)), index, array, skipScan: true };
+        let statistics = getStatistics(this.db, this.name);
+        if (skipScan.ranges.length && statistics !== undefined &&
+            this.estimateIndexCost(store, skipScan, statistics) < statistics.count)
+          return skipScan;
       }
     }
+    return best;
+  }
+
+  supportsFields() {
+    return true;
+  }
+
+  supportsOrder(keyPaths) {
+    let store = getSchema(this.db, this.name);
+    if (store === undefined)
+      return false;
+
+    return this.chooseOrderedIndex(store, keyPaths) !== undefined;
+  }
+
+  indexKeyPaths() {
+    let store = getSchema(this.db, this.name);
+    if (store === undefined)
+      return undefined;
+
+    let keyPaths = [];
+    if (store.keyPath !== null)
+      keyPaths.push(store.keyPath);
 
-    // Prefer unique index
     for (let i = 0; i < store.indexNames.length; ++i) {
-      let n = store.indexNames[i];
-      let index = store.index(n);
-      if (!index.multiEntry && index.unique) {
-        let { keyPaths, array } = getKeyPaths(index);
-        let ranges = usableKeyRanges(keyRanges, keyPaths);
-        if (ranges.length)
-          best = { ranges, index, array };
+      let index = store.index(store.indexNames[i]);
+      if (!index.multiEntry)
+        keyPaths.push(index.keyPath);
+    }
+
+    return keyPaths;
+  }
+
+  estimateRows(keyRanges) {
+    let statistics = getStatistics(this.db, this.name);
+    if (statistics === undefined)
+      return undefined;
+
+    let store = getSchema(this.db, this.name);
+    if (store === undefined)
+      return undefined;
+
+    return this.estimateIndexRows(store, this.chooseBestIndex(store, keyRanges), statistics);
+  }
+
+  explainScan(context, keyRanges, options={}) {
+    let store;
+    try {
+      store = this.db.transaction([this.name], "readonly").objectStore(this.name);
+    } catch (error) {
+      // The object store cannot be read, for example, once the database is closed.
+      return Promise.reject(error);
+    }
+
+    let best = this.chooseIndex(store, keyRanges, options);
+    let source = best.index || store;
+
+    let result = {
+      objectStore: this.name,
+      keyPath: source.keyPath,
+    };
+    if (source !== store)
+      result.index = source.name;
+    if (options.order)
+      result.direction = options.order.direction;
+    if (options.fields !== undefined && coversFields(source, store, options.fields))
+      result.keyOnly = true;
+
+    if (best.skipScan)
+      result.skipScan = true;
+
+    // Ranges that depend on the tuples of other relations are only known during execution, as are the leading keys
+    // of a skip scan.
+    if (best.ranges !== undefined && (best.skipScan || !best.ranges.every(r => r.isConstant()))) {
+      let statistics = getStatistics(this.db, this.name);
+      let rows = statistics === undefined ? undefined : this.estimateIndexRows(store, best, statistics);
+      if (rows !== undefined) {
+        result.estimatedRows = Math.ceil(rows);
+        return Promise.resolve(result);
       }
+
+      return requestPromise(store.count()).then(count => {
+        result.estimatedRows = Math.ceil(count * DEPENDENT_RANGE_SELECTIVITY);
+        return result;
+      });
     }
 
-    return best;
+    let idbRanges = [null];
+    if (best.ranges !== undefined) {
+      idbRanges = this.prepareRanges(context, best);
+      result.ranges = idbRanges.map(r => ({
+        lower: r.lower,
+        upper: r.upper,
+        lowerOpen: r.lowerOpen,
+        upperOpen: r.upperOpen,
+      }));
+    }
+
+    return Promise.all(idbRanges.map(r => requestPromise(source.count(r)))).then(counts => {
+      let { limit, offset=0 } = options;
+      let rows = Math.max(counts.reduce((a, b) => a + b, 0) - offset, 0);
+      result.estimatedRows = limit === undefined ? rows : Math.min(rows, limit);
+      return result;
+    });
   }
 
-  execute(context, keyRanges) {
+  execute(context, keyRanges, options={}) {
     let store = context.transaction.idbTransaction.objectStore(this.name);
+    if (options.order)
+      return this.executeOrdered(context, store, keyRanges, options);
+
     let best = this.chooseBestIndex(store, keyRanges);
+    return this.executeIndex(context, store, best, options);
+  }
 
-    if (best.ranges === undefined) {
-      return rangeStream(store, null);
-    } else {
-      console.log(`Using key ${best.index.name} with ${best.ranges.length} key paths`);
-      let observable = Observable.empty();
-      let equals = [];
-      for (let j = 0; j < best.ranges.length - 1; ++j) {
-        let prepared = best.ranges[j].prepare(context);
-        if (prepared.length === 0)
-          return observable;
-        if (prepared.length > 1 || !prepared[0].isEquality())
-          throw new Error("Initial index ranges must all be equalities");
-        equals.push(prepared[0].lower);
-      }
+  // Walks the object store or index matching options.order so that tuples are produced in that order.
+  executeOrdered(context, store, keyRanges, options) {
+    let { keyPaths, direction, nulls } = options.order;
+    let best = this.chooseIndex(store, keyRanges, options);
+    let { index } = best;
+
+    // Records without a valid key, e.g. one that is null, undefined or a boolean, are missing from an index, though
+    // they do not satisfy any key range. They are ordered before or after all the others, as are null keys.
+    if (index === store || best.ranges !== undefined)
+      return this.executeIndex(context, store, best, Object.assign({}, options, { direction }));
+
+    let { limit, offset=0, statistics } = options;
+    let indexed = this.executeIndex(context, store, best, {
+      direction,
+      limit: limit === undefined || nulls < 0 ? undefined : limit + offset,
+      statistics,
+      fields: options.fields,
+    });
+    let unindexed = rangeStream(store, null, { statistics, batchSize: this.batchSize }, context).filter(missingKey(keyPaths[0]));
+    let observable = nulls < 0 ? unindexed.concat(indexed) : indexed.concat(unindexed);
+    return applyLimit(observable, limit, offset);
+  }
 
-      let prepared = best.ranges[best.ranges.length - 1].prepare(context);
-      for (let i = 0; i < prepared.length; ++i) {
-        let range = prepared[i];
-        if (best.array) {
-          range = compositeRange(equals, range);
-          console.log("comp", equals, range);
+  // Returns IDBKeyRanges, in ascending order, for the cartesian product of the ranges prepared for each key path, up
+  // to and including the first key path with a range that is not an equality. The records they select are filtered
+  // by the predicates on the key paths that follow.
+  prepareRanges(context, best, leading=[]) {
+    let prefixes = [leading];
+    for (let j = 0; j < best.ranges.length; ++j) {
+      let prepared = best.ranges[j].prepare(context);
+      if (j === best.ranges.length - 1 || !prepared.every(r => r.isEquality())) {
+        let idbRanges = [];
+        for (let equals of prefixes) {
+          for (let range of prepared)
+            idbRanges.push(idbRange(best.array ? compositeRange(equals, range) : range));
         }
-        observable = observable.concat(rangeStream(best.index, idbRange(range)));
+        return idbRanges;
       }
 
-      return observable;
+      let extended = [];
+      for (let equals of prefixes) {
+        for (let range of prepared)
+          extended.push(equals.concat([range.lower]));
+      }
+      prefixes = extended;
     }
   }
 
+  executeIndex(context, store, best, options) {
+    let source = best.index || store;
+    options = Object.assign({}, options, { batchSize: this.batchSize });
+    if (options.fields !== undefined && coversFields(source, store, options.fields))
+      options.keyOnly = true;
+
+    let event = {
+      type: "index",
+      database: this.db.name,
+      objectStore: this.name,
+      index: source === store ? undefined : source.name,
+      keyPaths: best.ranges === undefined ? 0 : best.ranges.length,
+    };
+    if (best.skipScan)
+      event.skipScan = true;
+    trace(context, event);
+
+    if (best.ranges === undefined)
+      return rangeStream(source, null, options, context);
+
+    if (best.skipScan)
+      return this.executeSkipScan(context, store, best, options);
+
+    let idbRanges = this.prepareRanges(context, best);
+    if (idbRanges.length === 1 && !source.multiEntry)
+      return rangeStream(source, idbRanges[0], options, context);
+
+    return this.executeRanges(context, store, source, idbRanges, options);
+  }
+
+  // Walks each of several IDBKeyRanges, in ascending order, of the object store or index in turn.
+  executeRanges(context, store, source, idbRanges, options) {
+    // The offset cannot be applied to any one cursor so each need produce no more than limit + offset records.
+    let { limit, offset=0, direction, statistics, keyOnly, batchSize } = options;
+    let cursorOptions = {
+      limit: limit === undefined ? undefined : limit + offset,
+      direction,
+      statistics,
+      keyOnly,
+      batchSize,
+    };
+
+    if (direction === "prev")
+      idbRanges = idbRanges.slice().reverse();
+
+    // A record is in a multiEntry index once for each distinct element of its array, so may be found by
+    // several ranges or several times in one.
+    if (source.multiEntry)
+      cursorOptions.limit = undefined;
+
+    let observable = Observable.empty();
+    for (let i = 0; i < idbRanges.length; ++i)
+      observable = observable.concat(rangeStream(source, idbRanges[i], cursorOptions, context));
+
+    if (source.multiEntry) {
+      let getPrimaryKey = keyPathGetter(store);
+      let primaryKeys = new ValueSet();
+      observable = observable.filter(value => primaryKeys.add(getPrimaryKey(value)));
+    }
+
+    return applyLimit(observable, limit, offset);
+  }
+
+  // Walks the distinct leading keys of a composite key path with a key cursor and, under each, looks up the ranges
+  // of the following key paths. Continuing the cursor to the key after all those with the current leading key
+  // skips the records in between.
+  executeSkipScan(context, store, best, options) {
+    let source = best.index;
+    let { limit, offset=0, direction="next", statistics } = options;
+    let probeOptions = Object.assign({}, options, {
+      limit: limit === undefined ? undefined : limit + offset,
+      offset: undefined,
+    });
+
+    let observable = Observable.create(observer => {
+      let subscription;
+      let request = source.openKeyCursor(null, direction);
+      request.onsuccess = (event) => {
+        if (observer.closed)
+          return;
+
+        if (statistics !== undefined)
+          ++statistics.cursorSteps;
+
+        let cursor = event.target.result;
+        if (!cursor) {
+          observer.complete();
+          return;
+        }
+
+        let leading = cursor.key[0];
+        let idbRanges = this.prepareRanges(context, best, [leading]);
+        subscription = this.executeRanges(context, store, source, idbRanges, probeOptions).subscribe(
+          value => observer.next(value),
+          error => observer.error(error),
+          () => {
+            // A key with only the leading key precedes all those that have it and more.
+            if (!observer.closed)
+              cursor.continue(direction === "prev" ? [leading] : [nextUp(leading)]);
+          });
+      };
+      request.onerror = (event) => {
+        observer.error(event.target.error);
+      };
+
+      return () => {
+        if (subscription)
+          subscription.unsubscribe();
+      };
+    });
+
+    return applyLimit(observable, limit, offset);
+  }
+
+  isSameObjectStore(other) {
+    return other instanceof PersistentObjectStore && other.db.name === this.db.name && other.name === this.name;
+  }
+
+  qualifiedName() {
+    return { database: this.db.name, objectStore: this.name };
+  }
+
+  primaryKey(context, tuple) {
+    let store = context.transaction.idbTransaction.objectStore(this.name);
+    return keyPathGetter(store)(tuple);
+  }
+
+  generatesKeys(context) {
+    return context.transaction.idbTransaction.objectStore(this.name).autoIncrement;
+  }
+
   put(context, tuples, overwrite, wantGenerated) {
     if (tuples.length === 0)
       return Observable.from([]);
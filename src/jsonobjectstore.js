@@ -1,7 +1,7 @@
 const { Observable } = require("./rx");
 
 const { PrimaryKey } = require("./expression");
-const { ObjectStore } = require("./tree");
+const { ObjectStore, applyLimit } = require("./tree");
 
 const has = Object.prototype.hasOwnProperty;
 
@@ -61,7 +61,12 @@ class JSONObjectStore extends ObjectStore {
     this.tuples = tuples;
   }
 
-  execute(context, keyRanges) {
+  execute(context, keyRanges, options={}) {
+    let observable = this.executeRanges(context, keyRanges);
+    return applyLimit(observable, options.limit, options.offset);
+  }
+
+  executeRanges(context, keyRanges) {
     let view = getJSONView(context.transaction, this.tuples);
 
     if (keyRanges && has.call(keyRanges, PrimaryKey)) {
@@ -90,6 +95,38 @@ class JSONObjectStore extends ObjectStore {
     });
   }
 
+  explainScan(context, keyRanges, options={}) {
+    let view = this.tuples;
+    if (context.transaction)
+      view = getJSONView(context.transaction, this.tuples);
+
+    let result = {};
+    let rows = 0;
+    if (keyRanges && has.call(keyRanges, PrimaryKey) && keyRanges[PrimaryKey].isEquality()) {
+      result.index = "PrimaryKey";
+      rows = keyRanges[PrimaryKey].isConstant() ? keyRanges[PrimaryKey].prepare(context).length : 1;
+    } else {
+      for (let n in view) {
+        if (view[n] !== undefined)
+          ++rows;
+      }
+    }
+
+    let { limit, offset=0 } = options;
+    rows = Math.max(rows - offset, 0);
+    result.estimatedRows = limit === undefined ? rows : Math.min(rows, limit);
+    return Promise.resolve(result);
+  }
+
+  indexKeyPaths() {
+    // Tuples can be looked up by PrimaryKey but no expression has PrimaryKey as its key path.
+    return [];
+  }
+
+  isSameObjectStore(other) {
+    return other instanceof JSONObjectStore && other.tuples === this.tuples;
+  }
+
   put(context, tuples, overwrite, wantGenerated) {
     let view = getJSONView(context.transaction, this.tuples);
 
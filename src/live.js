@@ -0,0 +1,164 @@
+"use strict";
+
+const EventEmitter = require('eventemitter3');
+
+const CHANNEL_NAME = "fluentquery";
+
+// Emits a "change" event, with a change record, each time a transaction that wrote to object stores completes.
+// Aborted transactions publish nothing. Records published in this context have the written objectStores and,
+// at the same indices, arrays of the written primary keys. Records received over the change channel from other
+// contexts, e.g. other tabs, have the database name, objectStoreNames and, for each object store name, keys.
+const changes = new EventEmitter();
+
+// In-process stand-in for BroadcastChannel. Messages posted to one LocalChannel are delivered asynchronously to
+// every other open LocalChannel with the same name.
+const localChannels = new Map();
+
+class LocalChannel {
+  constructor(name=CHANNEL_NAME) {
+    this.name = name;
+    this.onmessage = null;
+
+    let channels = localChannels.get(name);
+    if (channels === undefined) {
+      channels = new Set();
+      localChannels.set(name, channels);
+    }
+    channels.add(this);
+  }
+
+  postMessage(data) {
+    let channels = localChannels.get(this.name);
+    for (let channel of channels) {
+      if (channel !== this) {
+        setImmediate(() => {
+          if (typeof channel.onmessage === "function")
+            channel.onmessage({ data });
+        });
+      }
+    }
+  }
+
+  close() {
+    let channels = localChannels.get(this.name);
+    if (channels === undefined)
+      return;
+
+    channels.delete(this);
+    if (channels.size === 0)
+      localChannels.delete(this.name);
+  }
+}
+
+let changeChannel = undefined;
+
+// Sets the channel over which change records are exchanged with other contexts. Any object with a
+// BroadcastChannel-like postMessage method and onmessage property will do. null disables the exchange.
+const setChangeChannel = (channel) => {
+  if (changeChannel)
+    changeChannel.onmessage = null;
+
+  changeChannel = channel;
+  if (changeChannel) {
+    changeChannel.onmessage = (event) => {
+      changes.emit("change", event.data);
+    };
+  }
+}
+
+const getChangeChannel = () => {
+  if (changeChannel === undefined) {
+    if (typeof BroadcastChannel === "function") {
+      let channel = new BroadcastChannel(CHANNEL_NAME);
+
+      // In node, an open channel would otherwise keep the process alive.
+      if (typeof channel.unref === "function")
+        channel.unref();
+
+      setChangeChannel(channel);
+    } else {
+      changeChannel = null;
+    }
+  }
+
+  return changeChannel;
+}
+
+const publishChanges = (writes) => {
+  changes.emit("change", {
+    objectStores: Array.from(writes.keys()),
+    keys: Array.from(writes.values()),
+  });
+
+  // Only IndexedDB object stores are visible to other contexts.
+  let records = new Map();
+  for (let [objectStore, keys] of writes) {
+    let name = objectStore.qualifiedName();
+    if (name === undefined)
+      continue;
+
+    let record = records.get(name.database);
+    if (record === undefined) {
+      record = {
+        database: name.database,
+        objectStoreNames: [],
+        keys: {},
+      };
+      records.set(name.database, record);
+    }
+
+    record.objectStoreNames.push(name.objectStore);
+    record.keys[name.objectStore] = keys;
+  }
+
+  let channel = records.size ? getChangeChannel() : null;
+  if (channel) {
+    for (let record of records.values())
+      channel.postMessage(record);
+  }
+}
+
+const transactionWrites = new WeakMap();
+
+// Returns the array to which the primary keys of tuples written to the object store should be added. Must be
+// called after the object store has been written through the transaction, so that, in the case of a
+// JSONObjectStore, the change is applied to the underlying tuples before the change record is published.
+const recordWrite = (transaction, objectStore) => {
+  let writes = transactionWrites.get(transaction);
+  if (writes === undefined) {
+    writes = new Map();
+    transactionWrites.set(transaction, writes);
+    transaction.on("complete", () => {
+      publishChanges(writes);
+    });
+  }
+
+  let keys = writes.get(objectStore);
+  if (keys === undefined) {
+    keys = [];
+    writes.set(objectStore, keys);
+  }
+
+  return keys;
+}
+
+const isAffectedBy = (objectStores, change) => {
+  if (change.database !== undefined) {
+    return objectStores.some(read => {
+      let name = read.qualifiedName();
+      return name !== undefined && name.database === change.database &&
+             change.objectStoreNames.includes(name.objectStore);
+    });
+  }
+
+  return change.objectStores.some(written => objectStores.some(read => read.isSameObjectStore(written)));
+}
+
+module.exports = {
+  LocalChannel,
+  changes,
+  getChangeChannel,
+  isAffectedBy,
+  recordWrite,
+  setChangeChannel,
+}
@@ -1,23 +1,32 @@
 "use strict";
 
-const { TermGroups, parseExpression } = require("./expression");
+const { explain, explainAnalyze } = require("./explain");
+const { OuterDependency, TermGroups, parseExpression } = require("./expression");
 const { finalize } = require("./finalize");
 const { JSONObjectStore } = require("./jsonobjectstore");
+const { changes, getChangeChannel, isAffectedBy } = require("./live");
+const { Observable } = require("./rx");
 const { BaseTransaction, getTransaction } = require("./transaction");
 const { traverse } = require("./traverse");
 
 const {
+  CommonTableReference,
   CompositeUnion,
   Context,
+  Distinct,
   GroupBy,
   Join,
+  Limit,
   Memoize,
   NamedRelation,
   ObjectStore,
   OrderBy,
+  RecursiveUnion,
+  ScalarSubquery,
   Select,
   SetOperation,
   Where,
+  WorkingTable,
   Write,
 } = require("./tree");
 
@@ -39,7 +48,9 @@ class QueryResult {
   }
 }
 
-const makeInnerJoin = (relationMap) => {
+const isQuery = (value) => typeof value === "function" && value[QUERY] === true;
+
+const makeInnerJoin = (relationMap, outer, commonTable) => {
   let relations = [];
   for (let n in relationMap) {
     if (has.call(relationMap, n)) {
@@ -49,8 +60,11 @@ const makeInnerJoin = (relationMap) => {
         // fin
       } else if (Array.isArray(relation)) {
         relation = new JSONObjectStore(relation);
-      } else if (typeof relation === "function" && relation[QUERY]) {
-        relation = relation.relation();
+      } else if (isQuery(relation)) {
+        // Only subqueries tested in where predicates can reference the relations of the enclosing query.
+        relation = relation.correlate({}, outer, commonTable);
+      } else if (typeof relation === "string") {
+        relation = commonTable(relation);
       } else {
         throw new Error(`Bad relation type for "${n}".`);
       }
@@ -76,13 +90,32 @@ const makeDefinitions = (values) => {
   return result;
 }
 
+const readObjectStores = (relation) => {
+  let objectStores = [];
+  traverse(relation, {
+    enter(path) {
+      if (path.node instanceof ObjectStore)
+        objectStores.push(path.node);
+    }
+  });
+  return objectStores;
+}
+
+const parseCount = (count, substitutions) => {
+  if (typeof count === "number")
+    return count;
+  return parseExpression(count, {}, substitutions);
+}
+
 const DEFAULT_MODE = {
+  aggregates: undefined,
+  groupBy: undefined,
   joinRelations: undefined,
   orderBy: undefined,
   finalized: false,
 }
 
-const newQuery = (command) => {
+const newQuery = (command, tables={}, recursive=false) => {
   let buildRelation = undefined;
   let queryRelation = undefined;
   let mode = Object.assign({}, DEFAULT_MODE);
@@ -93,10 +126,110 @@ const newQuery = (command) => {
   let returning = undefined;
   let returningSubst = undefined;
   let memoize = false;
+  let limit = undefined;
+  let offset = undefined;
+  let distinct = false;
+  let distinctOn = undefined;
+  let distinctOnSubst = undefined;
+
+  // Relations of enclosing queries referenced by this one, as a subquery, by name.
+  let outerDependencies = new Map();
+  const outer = (name) => {
+    let dependency = outerDependencies.get(name);
+    if (dependency === undefined) {
+      dependency = new OuterDependency(name);
+      outerDependencies.set(name, dependency);
+    }
+    return dependency;
+  }
 
-  const query = (params={}, transaction=undefined) => {
-    let relation = query.finalize();
+  // References by name to common table expressions, defined by this query or by those enclosing it.
+  let tableReferences = new Map();
+  const commonTable = (name) => {
+    let reference = tableReferences.get(name);
+    if (reference === undefined) {
+      reference = new CommonTableReference(name);
+      tableReferences.set(name, reference);
+    }
+    return reference;
+  }
+
+  // Each common table expression is executed at most once per execution of the query, however many times it is
+  // referenced. It may reference those defined before it. With withRecursive(), one defined by an array of seed
+  // and step queries is recursive: its step references, by its own name, the tuples of the previous iteration.
+  let commonTables = new Map();
+  for (let n in tables) {
+    if (has.call(tables, n)) {
+      let table = tables[n];
+
+      let defined = new Map(commonTables);
+      const definedTable = (name) => {
+        if (defined.has(name))
+          return defined.get(name);
+        if (has.call(tables, name))
+          throw new Error(`Common table expression "${n}" references "${name}", which is not defined before it.`);
+        return commonTable(name);
+      }
+
+      let relation;
+      if (isQuery(table)) {
+        relation = table.correlate({}, outer, definedTable);
+      } else if (recursive && Array.isArray(table) && table.length === 2 && table.every(isQuery)) {
+        let workingTable = new WorkingTable();
+        let seed = table[0].correlate({}, outer, definedTable);
+        let step = table[1].correlate({}, outer, name => name === n ? workingTable : definedTable(name));
+        relation = new RecursiveUnion(seed, step, workingTable);
+      } else if (recursive) {
+        throw new Error(`Common table expression "${n}" must be a query or an array of seed and step queries.`);
+      } else {
+        throw new Error(`Common table expression "${n}" must be a query.`);
+      }
 
+      commonTables.set(n, new Memoize(relation));
+    }
+  }
+
+  const bindCommonTables = (enclosingTable) => {
+    for (let [name, reference] of tableReferences) {
+      if (commonTables.has(name))
+        reference.relation = commonTables.get(name);
+      else if (enclosingTable !== undefined)
+        reference.relation = enclosingTable(name);
+    }
+  }
+
+  // Subqueries in an expression evaluated against the tuples of a relation are each joined to the relation, which
+  // then provides their values under generated names. A ScalarSubquery provides the value of a scalar subquery
+  // and a semi join each tuple of a subquery tested with "in".
+  let subqueryCount = 0;
+  const joinSubqueries = (relation) => {
+    let schema = relation.schema();
+    let result = { relation, semiJoins: [] };
+
+    result.scalar = (subquery) => {
+      if (!isQuery(subquery))
+        throw new Error("Argument of 'scalar' must be a query.");
+
+      let name = "$$scalar" + subqueryCount++;
+      result.relation = new ScalarSubquery(result.relation, subquery.correlate(schema, outer, commonTable), name);
+      return { name, dependency: result.relation };
+    };
+
+    result.inSubquery = (subquery) => {
+      if (!isQuery(subquery))
+        throw new Error("Subquery tested with 'in' must be a query.");
+
+      let name = "$$in" + subqueryCount++;
+      let namedRelation = new NamedRelation(subquery.correlate(schema, outer, commonTable), name);
+      result.relation = new Join(result.relation, namedRelation, "semi");
+      result.semiJoins.push(result.relation);
+      return { name, dependency: namedRelation };
+    };
+
+    return result;
+  }
+
+  const newContext = (params, transaction) => {
     let context = new Context(params);
 
     if (transaction === undefined || transaction instanceof BaseTransaction)
@@ -104,7 +237,12 @@ const newQuery = (command) => {
     else
       context.transaction = getTransaction(transaction);
 
-    let observable = context.execute(relation);
+    return context;
+  }
+
+  const query = (params={}, transaction=undefined) => {
+    let relation = query.finalize();
+    let observable = newContext(params, transaction).execute(relation);
     return new QueryResult(observable);
   }
 
@@ -127,12 +265,22 @@ const newQuery = (command) => {
 
       queryRelation = buildRelation;
 
+      // Applied after ordering but before the selector.
+      if (distinctOn !== undefined)
+        queryRelation = new Distinct(queryRelation, parseExpression(distinctOn, buildRelation.schema(), distinctOnSubst));
+
       if (selector) {
-        queryRelation = new Select(buildRelation, parseExpression(selector, buildRelation.schema(), selectorSubst));
+        let subqueries = joinSubqueries(queryRelation);
+        let expression = parseExpression(selector, buildRelation.schema(), selectorSubst, { scalar: subqueries.scalar });
+        queryRelation = new Select(subqueries.relation, expression);
         selector = undefined;
       }
 
       if (command === "select") {
+        if (distinct)
+          queryRelation = new Distinct(queryRelation);
+        if (limit !== undefined || offset !== undefined)
+          queryRelation = new Limit(queryRelation, limit, offset);
         if (memoize)
           queryRelation = new Memoize(queryRelation);
       } else {
@@ -149,8 +297,29 @@ const newQuery = (command) => {
       return queryRelation;
     },
 
+    // Resolves the relations of enclosing queries referenced by this one to those in the schema of the relation
+    // with which it is joined or else to the relations of queries enclosing that, and returns its relation. Common
+    // table expressions it does not define are likewise resolved to those of enclosing queries.
+    correlate(schema, enclosingOuter, enclosingTable) {
+      for (let [name, dependency] of outerDependencies)
+        dependency.relation = has.call(schema, name) ? schema[name] : enclosingOuter(name);
+      bindCommonTables(enclosingTable);
+      return query.relation();
+    },
+
     finalize() {
       if (!mode.finalized) {
+        for (let [name, dependency] of outerDependencies) {
+          if (dependency.relation === undefined)
+            throw new Error(`No relation matching variable "${name}".`);
+        }
+
+        bindCommonTables();
+        for (let [name, reference] of tableReferences) {
+          if (reference.relation === undefined)
+            throw new Error(`No common table expression named "${name}".`);
+        }
+
         queryRelation = finalize(query.relation());
         mode.finalized = true;
       }
@@ -177,7 +346,7 @@ const newQuery = (command) => {
     },
 
     from(relationMap) {
-      return chain(makeInnerJoin(relationMap));
+      return chain(makeInnerJoin(relationMap, outer, commonTable));
     },
 
     into(objectStore) {
@@ -186,7 +355,7 @@ const newQuery = (command) => {
       into = objectStore;
 
       if (command === "update" || command === "delete")
-        buildRelation = makeInnerJoin({"$$this": objectStore});
+        buildRelation = makeInnerJoin({"$$this": objectStore}, outer, commonTable);
 
       return chain(buildRelation);
     },
@@ -200,44 +369,60 @@ const newQuery = (command) => {
     },
 
     union(rQuery) {
-      return chain(new SetOperation(query.relation(), rQuery.relation(), "union"));
+      return chain(new SetOperation(query.relation(), rQuery.correlate({}, outer, commonTable), "union"));
     },
 
     unionAll(rQuery) {
-      return chain(new SetOperation(query.relation(), rQuery.relation(), "unionAll"));
+      return chain(new SetOperation(query.relation(), rQuery.correlate({}, outer, commonTable), "unionAll"));
+    },
+
+    intersect(rQuery) {
+      return chain(new SetOperation(query.relation(), rQuery.correlate({}, outer, commonTable), "intersect"));
+    },
+
+    intersectAll(rQuery) {
+      return chain(new SetOperation(query.relation(), rQuery.correlate({}, outer, commonTable), "intersectAll"));
+    },
+
+    except(rQuery) {
+      return chain(new SetOperation(query.relation(), rQuery.correlate({}, outer, commonTable), "except"));
+    },
+
+    exceptAll(rQuery) {
+      return chain(new SetOperation(query.relation(), rQuery.correlate({}, outer, commonTable), "exceptAll"));
     },
 
     join(relationMap) {
-      let join = new Join(buildRelation, makeInnerJoin(relationMap), "inner");
+      let join = new Join(buildRelation, makeInnerJoin(relationMap, outer, commonTable), "inner");
       return chain(join, {
         joinRelations: [join],
       });
     },
 
     antiJoin(relationMap) {
-      let join = new Join(buildRelation, makeInnerJoin(relationMap), "anti");
+      let join = new Join(buildRelation, makeInnerJoin(relationMap, outer, commonTable), "anti");
       return chain(join, {
         joinRelations: [join],
       });
     },
 
     leftJoin(relationMap) {
-      let join = new Join(buildRelation, makeInnerJoin(relationMap), "outer");
+      let join = new Join(buildRelation, makeInnerJoin(relationMap, outer, commonTable), "outer");
       return chain(join, {
         joinRelations: [join],
       });
     },
 
     rightJoin(relationMap) {
-      let join = new Join(makeInnerJoin(relationMap), buildRelation, "outer");
+      let join = new Join(makeInnerJoin(relationMap, outer, commonTable), buildRelation, "outer");
       return chain(join, {
         joinRelations: [join],
       });
     },
 
     fullJoin(relationMap) {
-      let outerJoin = new Join(buildRelation, makeInnerJoin(relationMap), "outer");
-      let antiJoin = new Join(makeInnerJoin(relationMap), buildRelation, "anti");
+      let outerJoin = new Join(buildRelation, makeInnerJoin(relationMap, outer, commonTable), "outer");
+      let antiJoin = new Join(makeInnerJoin(relationMap, outer, commonTable), buildRelation, "anti");
       return chain(new CompositeUnion(outerJoin, antiJoin), {
         joinRelations: [outerJoin, antiJoin],
       });
@@ -246,7 +431,7 @@ const newQuery = (command) => {
     on(predicate, ...args) {
       let schema = buildRelation.schema();
       mode.joinRelations.forEach(r => {
-        r.termGroups.parse(predicate, schema, args);
+        r.termGroups.parse(predicate, schema, args, { outer });
       });
       return chain(buildRelation, {
         joinRelations: mode.joinRelations,
@@ -254,18 +439,43 @@ const newQuery = (command) => {
     },
 
     where(predicate, ...args) {
+      let schema = buildRelation.schema();
+      let subqueries = joinSubqueries(buildRelation);
       let termGroups = new TermGroups();
-      termGroups.parse(predicate, buildRelation.schema(), args);
-      return chain(new Where(buildRelation, termGroups));
+      termGroups.parse(predicate, schema, args, {
+        allowSubqueries: true,
+        outer,
+        scalar: subqueries.scalar,
+        inSubquery: subqueries.inSubquery,
+      });
+
+      // The term testing membership of a subquery's tuples is the condition of the semi join that tests it.
+      subqueries.semiJoins.forEach(join => {
+        let name = join.rRelation.name;
+        join.termGroups.terms = termGroups.terms.filter(term => has.call(term.dependencies, name));
+        termGroups.terms = termGroups.terms.filter(term => !has.call(term.dependencies, name));
+      });
+
+      // Each tuple is tested for tuples of subqueries in "exists" and "notExists" conjuncts by a semi or anti join.
+      let relation = subqueries.relation;
+      termGroups.subqueries.forEach(({ type, query: subquery }) => {
+        if (!isQuery(subquery))
+          throw new Error("Argument of 'exists' or 'notExists' must be a query.");
+        relation = new Join(relation, subquery.correlate(schema, outer, commonTable), type);
+      });
+
+      return chain(new Where(relation, termGroups));
     },
 
     groupBy(grouper, ...args) {
       if (selector) {
         // The expression that would have been used for the Select node is used as the selector
         // for the GroupBy node and no Select will be generated.
-        let result = chain(new GroupBy(buildRelation,
-                                        parseExpression(selector, buildRelation.schema(), selectorSubst, { allowAggregates: true }),
-                                        parseExpression(grouper, buildRelation.schema(), args)));
+        let aggregates = new Map();
+        let groupBy = new GroupBy(buildRelation,
+                                  parseExpression(selector, buildRelation.schema(), selectorSubst, { allowAggregates: true, aggregates }),
+                                  parseExpression(grouper, buildRelation.schema(), args));
+        let result = chain(groupBy, { groupBy, aggregates });
         selector = undefined;
         selectorSubst = undefined;
         return result;
@@ -274,6 +484,15 @@ const newQuery = (command) => {
       }
     },
 
+    having(predicate, ...args) {
+      if (!mode.groupBy)
+        throw new Error("having() must follow groupBy()");
+
+      let { groupBy, aggregates } = mode;
+      groupBy.having.push(parseExpression(predicate, groupBy.relation.schema(), args, { allowAggregates: true, aggregates }));
+      return chain(groupBy, { groupBy, aggregates });
+    },
+
     orderBy(ordering, ...args) {
       let expression = parseExpression(ordering, buildRelation.schema(), args);
       let orderBy = new OrderBy(buildRelation, [{expression, order: 1, nulls: 1}]);
@@ -328,11 +547,91 @@ const newQuery = (command) => {
       });
     },
 
+    limit(count, ...args) {
+      if (command !== "select")
+        throw new Error("limit() only applies to select queries");
+      if (limit !== undefined)
+        throw new Error("limit() already called");
+      limit = parseCount(count, args);
+      return chain(buildRelation);
+    },
+
+    offset(count, ...args) {
+      if (command !== "select")
+        throw new Error("offset() only applies to select queries");
+      if (offset !== undefined)
+        throw new Error("offset() already called");
+      offset = parseCount(count, args);
+      return chain(buildRelation);
+    },
+
+    get distinct() {
+      if (command !== "select")
+        throw new Error("distinct only applies to select queries");
+      distinct = true;
+      return chain(buildRelation);
+    },
+
+    distinctOn(expression, ...args) {
+      if (command !== "select")
+        throw new Error("distinctOn() only applies to select queries");
+      if (distinctOn !== undefined)
+        throw new Error("distinctOn() already called");
+      distinctOn = expression;
+      distinctOnSubst = args;
+      return chain(buildRelation);
+    },
+
     get memoize() {
       memoize = true;
       return chain(buildRelation);
     },
 
+    // Resolves to a description of the plan by which the query would be executed with the given parameters.
+    explain(params={}) {
+      return explain(query.finalize(), new Context(params));
+    },
+
+    // Executes the query, resolving to its tuples and statistics describing how each part of the plan executed.
+    explainAnalyze(params={}, transaction=undefined) {
+      return explainAnalyze(query.finalize(), newContext(params, transaction));
+    },
+
+    // Emits an array of all the result tuples initially and again each time a transaction that wrote to an
+    // object store read by the query completes, whether in this context or, for IndexedDB object stores, another.
+    live(params={}) {
+      if (command !== "select")
+        throw new Error("live() only applies to select queries");
+
+      let objectStores = readObjectStores(query.finalize());
+
+      return Observable.create(observer => {
+        let subscription;
+        const execute = () => {
+          if (subscription)
+            subscription.unsubscribe();
+          subscription = query(params).observable.toArray().subscribe(
+            tuples => observer.next(tuples),
+            error => observer.error(error));
+        };
+
+        const onChange = (change) => {
+          if (isAffectedBy(objectStores, change))
+            execute();
+        };
+
+        // Open the change channel, if not already open, to hear of writes in other contexts.
+        getChangeChannel();
+        changes.on("change", onChange);
+        execute();
+
+        return () => {
+          changes.off("change", onChange);
+          subscription.unsubscribe();
+        };
+      });
+    },
+
     forEach(callback) {
       return query().forEach(callback);
     },
@@ -365,11 +664,51 @@ const deleteFrom = (objectStore) => {
   return newQuery("delete").select("this").into(objectStore);
 }
 
+const commonTableBuilders = (tables, recursive) => {
+  return {
+    select(selector, ...args) {
+      return newQuery("select", tables, recursive).select(selector, ...args);
+    },
+
+    insert(selector, ...args) {
+      return newQuery("insert", tables, recursive).select(selector, ...args);
+    },
+
+    upsert(selector, ...args) {
+      return newQuery("upsert", tables, recursive).select(selector, ...args);
+    },
+
+    update(selector, ...args) {
+      return newQuery("update", tables, recursive).select(selector, ...args);
+    },
+
+    deleteFrom(objectStore) {
+      return newQuery("delete", tables, recursive).select("this").into(objectStore);
+    },
+  };
+}
+
+// Defines common table expressions, e.g. with({recent: select `...`}).select `...`, which the query and its
+// subqueries can then reference by name in place of a relation, e.g. from({book: "recent"}).
+const with_ = (tables) => {
+  return commonTableBuilders(tables, false);
+}
+
+// Like with() but a common table expression may also be recursive, defined by an array of a seed query and a step
+// query, e.g. withRecursive({report: [select `...`, select `...` .join ({manager: "report"})]}). Its tuples are
+// those of the seed query and of repeated executions of the step query, each joined to the tuples first produced
+// by the previous execution, until no new tuples are produced.
+const withRecursive = (tables) => {
+  return commonTableBuilders(tables, true);
+}
+
 module.exports = {
   deleteFrom,
   insert,
   select,
   update,
   upsert,
+  with: with_,
+  withRecursive,
 }
 
@@ -19,6 +19,12 @@ const nextUp = (v) => {
     return v + '\0';
   } else if (Array.isArray(v)) {
     return v.concat(-Infinity);
+  } else if (v instanceof ArrayBuffer || ArrayBuffer.isView(v)) {
+    // Binary keys are compared byte by byte, so the next is the same bytes followed by a zero byte.
+    let bytes = ArrayBuffer.isView(v) ? new Uint8Array(v.buffer, v.byteOffset, v.byteLength) : new Uint8Array(v);
+    let next = new Uint8Array(bytes.length + 1);
+    next.set(bytes);
+    return next.buffer;
   } else {
     let time = v.getTime();
     if (time >= MAX_TIME)
@@ -28,6 +34,17 @@ const nextUp = (v) => {
   }
 }
 
+// Returns least v such that every string starting with prefix is less than v, or undefined if there is no such
+// string.
+const prefixUpper = (prefix) => {
+  let i = prefix.length;
+  while (i > 0 && prefix.charCodeAt(i - 1) === 0xFFFF)
+    --i;
+  if (i === 0)
+    return undefined;
+  return prefix.substring(0, i - 1) + String.fromCharCode(prefix.charCodeAt(i - 1) + 1);
+}
+
 class Range {
   constructor(lower, upper, lowerOpen=false, upperOpen=false) {
     this.lower = lower;
@@ -77,6 +94,17 @@ class Range {
     return !this.lowerOpen && !this.upperOpen && cmp(this.lower, this.upper) === 0;
   }
 
+  // Whether the range prepares only to equalities, e.g. an IN-list. The conservative thing for this function to do
+  // is return false if unknown.
+  isDiscrete() {
+    return this.isEquality();
+  }
+
+  // Whether the range can be prepared without a tuple from another relation.
+  isConstant() {
+    return true;
+  }
+
   cmpLower(b) {
     if (this.lower === undefined) {
       return b.lower === undefined ? 0 : -1;
@@ -128,6 +156,10 @@ class Range {
     return new Range(this.lower, this.upper, this.lowerOpen, this.upperOpen);
   }
 
+  isMultiEntry() {
+    return false;
+  }
+
   openUpper() {
     if (this.upper === undefined || this.upperOpen)
       return this;
@@ -150,6 +182,18 @@ class Range {
   }
 }
 
+// Whether v is a valid IndexedDB key, i.e. one under which a record could be found in an index.
+const isValidKey = (v) => {
+  if (v === undefined || v === null)
+    return false;
+  try {
+    cmp(v, v);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
 const includes = (ranges) => (v) => {
   for (let i = 0; i < ranges.length; ++i) {
     if (ranges[i].includes(v))
@@ -164,6 +208,9 @@ class RangeExpression {
     this.upperFn = upperFn;
     this.lowerOpen = lowerOpen;
     this.upperOpen = upperOpen;
+
+    // Set when the range selects records with any element of an array in the range, as a multiEntry index does.
+    this.multiEntry = false;
   }
 
   prepare(context) {
@@ -181,6 +228,21 @@ class RangeExpression {
     return !this.lowerOpen && !this.upperOpen && this.lowerFn === this.upperFn;
   }
 
+  // The conservative thing for this function to do is return false if unknown.
+  isDiscrete() {
+    return this.isEquality();
+  }
+
+  // The conservative thing for this function to do is return false if unknown.
+  isConstant() {
+    const isConstantFn = fn => fn === undefined || (fn.dependencies !== undefined && Object.keys(fn.dependencies).length === 0);
+    return isConstantFn(this.lowerFn) && isConstantFn(this.upperFn);
+  }
+
+  isMultiEntry() {
+    return this.multiEntry;
+  }
+
   tree() {
     let result = {
       class: this.constructor.name,
@@ -193,8 +255,60 @@ class RangeExpression {
       result.lowerOpen = this.lowerOpen;
     if (this.upperOpen)
       result.upperOpen = this.upperOpen;
+    if (this.multiEntry)
+      result.multiEntry = this.multiEntry;
+    return result;
+  }
+}
+
+// The union of equalities with each element of an array, which is evaluated when the range is prepared.
+class RangeList {
+  constructor(valuesFn) {
+    this.valuesFn = valuesFn;
+  }
+
+  prepare(context) {
+    let values = this.valuesFn.call(context, context.tuple);
+
+    // The includes method of anything else, such as a string, might match keys other than its elements, so the
+    // range cannot exclude any.
+    if (!Array.isArray(values))
+      return [new Range()];
+
+    // Nothing has a key that is not a valid key, such as undefined or null.
+    values = values.filter(isValidKey).sort(cmp);
+
+    let result = [];
+    for (let i = 0; i < values.length; ++i) {
+      if (i === 0 || cmp(values[i - 1], values[i]) !== 0)
+        result.push(new Range(values[i], values[i]));
+    }
     return result;
   }
+
+  // The conservative thing for this function to do is return false if unknown.
+  isEquality() {
+    return false;
+  }
+
+  isDiscrete() {
+    return true;
+  }
+
+  isConstant() {
+    return this.valuesFn.dependencies !== undefined && Object.keys(this.valuesFn.dependencies).length === 0;
+  }
+
+  isMultiEntry() {
+    return false;
+  }
+
+  tree() {
+    return {
+      class: this.constructor.name,
+      values: this.valuesFn.source || this.valuesFn.toString(),
+    };
+  }
 }
 
 class RangeUnion {
@@ -240,6 +354,18 @@ class RangeUnion {
     return false;
   }
 
+  isDiscrete() {
+    return this.left.isDiscrete() && this.right.isDiscrete();
+  }
+
+  isConstant() {
+    return this.left.isConstant() && this.right.isConstant();
+  }
+
+  isMultiEntry() {
+    return this.left.isMultiEntry();
+  }
+
   tree() {
     return {
       class: this.constructor.name,
@@ -286,6 +412,18 @@ class RangeIntersection {
     return this.left.isEquality() || this.right.isEquality();
   }
 
+  isDiscrete() {
+    return this.left.isDiscrete() || this.right.isDiscrete();
+  }
+
+  isConstant() {
+    return this.left.isConstant() && this.right.isConstant();
+  }
+
+  isMultiEntry() {
+    return this.left.isMultiEntry();
+  }
+
   tree() {
     return {
       class: this.constructor.name,
@@ -295,6 +433,23 @@ class RangeIntersection {
   }
 }
 
+// Returns a range including at least the intersection of two ranges on the same key path. A record matched by
+// multiEntry ranges need only have some element in each, not the same one, so where either range is multiEntry,
+// only the first is kept.
+const intersectRanges = (a, b) => {
+  if (a.isMultiEntry() || b.isMultiEntry())
+    return a;
+  return new RangeIntersection(a, b);
+}
+
+// Returns the union of two ranges on the same key path or undefined if one is multiEntry and the other not, since
+// no one index can look up both.
+const uniteRanges = (a, b) => {
+  if (a.isMultiEntry() !== b.isMultiEntry())
+    return undefined;
+  return new RangeUnion(a, b);
+}
+
 const compositeRange = (equals, range) => {
   let lower = equals, upper = equals;
   let lowerOpen = range.lowerOpen, upperOpen = range.upperOpen;
@@ -325,8 +480,13 @@ module.exports = {
   Range,
   RangeExpression,
   RangeIntersection,
+  RangeList,
   RangeUnion,
   compositeRange,
   includes,
+  intersectRanges,
+  isValidKey,
   nextUp,
+  prefixUpper,
+  uniteRanges,
 };
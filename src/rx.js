@@ -1,4 +1,5 @@
 const { Observable } = require("rxjs/Observable");
+require("rxjs/add/observable/defer");
 require("rxjs/add/observable/empty");
 require("rxjs/add/observable/from");
 require("rxjs/add/observable/throw");
@@ -6,6 +7,7 @@ require("rxjs/add/operator/catch");
 require("rxjs/add/operator/concat");
 require("rxjs/add/operator/count");
 require("rxjs/add/operator/defaultIfEmpty");
+require("rxjs/add/operator/do");
 require("rxjs/add/operator/filter");
 require("rxjs/add/operator/isEmpty");
 require("rxjs/add/operator/map");
@@ -14,6 +16,7 @@ require("rxjs/add/operator/mergeAll");
 require("rxjs/add/operator/mergeMap");
 require("rxjs/add/operator/publishReplay");
 require("rxjs/add/operator/reduce");
+require("rxjs/add/operator/skip");
 require("rxjs/add/operator/toArray");
 require("rxjs/add/operator/toPromise");
 require("rxjs/add/operator/take");
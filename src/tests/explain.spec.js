@@ -0,0 +1,225 @@
+"use strict";
+
+require("./indexeddb-fill.js");
+
+const { expect } = require("chai");
+
+const { JSONObjectStore } = require("..");
+const { select, with: with_ } = require("../querybuilder");
+
+describe("explain", function() {
+  let thing, type;
+
+  beforeEach(function() {
+    thing = [
+      {id: 1, name: "Apple", calories: 95, type_id: 1},
+      {id: 2, name: "Banana", calories: 105, type_id: 1},
+      {id: 3, name: "Cake", calories: 500, type_id: 2},
+      {id: 4, name: "Carrot", calories: 25, type_id: 3},
+    ];
+
+    type = [
+      {id: 1, name: "Fruit"},
+      {id: 2, name: "Dessert"},
+      {id: 3, name: "Vegetable"},
+    ];
+  })
+
+  it("describes plan with estimates", function() {
+    let query = select `thing.name`
+                 .from ({thing});
+
+    return query.explain().then(explanation => {
+      expect(explanation).to.deep.equal({
+        plan: {
+          class: "TransactionNode",
+          objectStoreNames: [],
+          mode: "readonly",
+          relation: {
+            class: "Select",
+            selector: "thing.name",
+            relation: {
+              class: "NamedRelation",
+              name: "thing",
+              scan: {
+                estimatedRows: 4,
+              },
+              estimatedRows: 4,
+              estimatedCost: 4,
+            },
+            estimatedRows: 4,
+            estimatedCost: 4,
+          },
+          estimatedRows: 4,
+          estimatedCost: 4,
+        },
+        sortNeeded: false,
+        estimatedRows: 4,
+        estimatedCost: 4,
+      });
+    });
+  })
+
+  it("describes join algorithm", function() {
+    let query = select `thing.name`
+                 .from ({thing})
+                 .join ({type})
+                   .on `thing.type_id == type.id`;
+
+    return query.explain().then(explanation => {
+      let join = explanation.plan.relation.relation;
+      expect(join.class).to.equal("Join");
+      expect(join.algorithm).to.equal("hash");
+      expect(join.hashKeys).to.deep.equal([{ left: "thing.type_id", right: "type.id" }]);
+      expect(join.lRelation.estimatedRows).to.equal(4);
+      expect(join.rRelation.estimatedRows).to.equal(3);
+      expect(join.estimatedCost).to.equal(7);
+      expect(explanation.estimatedRows).to.equal(2);
+    });
+  })
+
+  it("describes predicates hoisted into key ranges", function() {
+    let query = select `thing.name`
+                 .from ({thing})
+                .where `thing.calories < $max`;
+
+    return query.explain({max: 100}).then(explanation => {
+      let scan = explanation.plan.relation.relation;
+      expect(scan.keyRanges).to.deep.equal({
+        calories: {
+          class: "RangeExpression",
+          upper: "this.params.max",
+          upperOpen: true,
+        },
+      });
+    });
+  })
+
+  it("describes predicates hoisted into scans", function() {
+    let query = select `thing.name`
+                 .from ({thing})
+                .where `thing.calories + thing.id > 100`;
+
+    return query.explain().then(explanation => {
+      let scan = explanation.plan.relation.relation;
+      expect(scan.name).to.equal("thing");
+      expect(scan.predicates).to.deep.equal(["$$cmp(thing.calories + thing.id, 100) > 0"]);
+      expect(scan.keyRanges).to.be.undefined;
+    });
+  })
+
+  it("plans common table expression referenced more than once only under first reference", function() {
+    let query = with_({
+                  typed: select `{id: thing.id, type: type.name}` .from ({thing}) .join ({type}) .on `thing.type_id == type.id`,
+                })
+                .select `a.type`
+                  .from ({a: "typed"})
+                  .join ({b: "typed"})
+                    .on `a.id == b.id`;
+
+    return query.explain().then(explanation => {
+      let join = explanation.plan.relation.relation;
+      expect(join.lRelation.relation.relation.class).to.equal("Memoize");
+      expect(join.lRelation.relation.estimatedRows).to.equal(2);
+      expect(join.rRelation.relation).to.deep.equal({
+        class: "CommonTableReference",
+        name: "typed",
+        estimatedRows: 2,
+        estimatedCost: 2,
+      });
+    });
+  })
+
+  it("indicates whether tuples must be sorted", function() {
+    let query = select `thing.name`
+                 .from ({thing})
+              .orderBy `thing.name`;
+
+    return query.explain().then(explanation => {
+      let orderBy = explanation.plan.relation.relation;
+      expect(explanation.sortNeeded).to.be.true;
+      expect(orderBy.sort).to.be.true;
+      expect(orderBy.estimatedCost).to.equal(12);
+    });
+  })
+
+  it("evaluates parameterized limit", function() {
+    let query = select `thing.name`
+                 .from ({thing})
+              .orderBy `thing.name`
+                .limit `$count`;
+
+    return query.explain({count: 2}).then(explanation => {
+      expect(explanation.estimatedRows).to.equal(2);
+    });
+  })
+
+  describe("explainAnalyze", function() {
+    it("resolves to tuples and statistics of each part of plan", function() {
+      let query = select `thing.name`
+                   .from ({thing})
+                  .where `thing.calories < $max`;
+
+      return query.explainAnalyze({max: 100}).then(analysis => {
+        expect(analysis.rows).to.deep.equal(["Apple", "Carrot"]);
+
+        let select = analysis.plan.relation;
+        expect(select.executions).to.equal(1);
+        expect(select.actualRows).to.equal(2);
+        expect(select.time).to.be.a("number");
+
+        let scan = select.relation;
+        expect(scan.class).to.equal("NamedRelation");
+        expect(scan.executions).to.equal(1);
+        expect(scan.actualRows).to.equal(2);
+        expect(scan.cursorSteps).to.equal(0);
+      });
+    })
+
+    it("counts executions of right relation of nested loop join", function() {
+      let query = select `thing.name`
+                   .from ({thing})
+                   .join ({type})
+                     .on `type.id == 1`;
+
+      return query.explainAnalyze().then(analysis => {
+        let join = analysis.plan.relation.relation;
+        expect(join.algorithm).to.be.undefined;
+        expect(join.executions).to.equal(1);
+        expect(join.actualRows).to.equal(4);
+        expect(join.lRelation.actualRows).to.equal(4);
+        expect(join.rRelation.executions).to.equal(4);
+        expect(join.rRelation.actualRows).to.equal(4);
+      });
+    })
+
+    it("counts tuples produced by groups", function() {
+      let query = select `{type_id: thing.type_id, count: count(thing.id)}`
+                   .from ({thing})
+                .groupBy `{type_id: thing.type_id}`;
+
+      return query.explainAnalyze().then(analysis => {
+        let groupBy = analysis.plan.relation;
+        expect(groupBy.class).to.equal("GroupBy");
+        expect(groupBy.actualRows).to.equal(3);
+        expect(groupBy.relation.actualRows).to.equal(4);
+      });
+    })
+
+    it("counts tuples sorted", function() {
+      let query = select `thing.name`
+                   .from ({thing})
+                .orderBy `thing.name`
+                  .limit (1);
+
+      return query.explainAnalyze().then(analysis => {
+        expect(analysis.rows).to.deep.equal(["Apple"]);
+
+        let limit = analysis.plan.relation;
+        expect(limit.actualRows).to.equal(1);
+        expect(limit.relation.relation.class).to.equal("OrderBy");
+        expect(limit.relation.relation.actualRows).to.equal(4);
+      });
+    })
+  })
+})
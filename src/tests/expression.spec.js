@@ -240,6 +240,91 @@ describe("TermGroups", function() {
     }).to.throw(/bad/);
   })
 
+  it("resolves variables not in schema to relations of enclosing queries", function() {
+    let outer = sinon.stub().returns(4);
+    groups.parse("a == d.x", schema, [], { outer });
+
+    sinon.assert.calledWith(outer, "d");
+    expect(groups.terms[0].dependencies).to.deep.equal({a, d: 4});
+  })
+
+  it("removes conjuncts testing subqueries", function() {
+    let subquery = () => {};
+    groups.parse(["a && notExists(", ") && b"], schema, [subquery], { allowSubqueries: true });
+
+    expect(groups.terms.map(t => t.tree())).to.deep.equal([
+      {
+        dependencies: ["a"],
+        expression: "a",
+      },
+      {
+        dependencies: ["b"],
+        expression: "b",
+      },
+    ]);
+    expect(groups.subqueries).to.deep.equal([{ type: "anti", query: subquery }]);
+  })
+
+  it("may remove every conjunct", function() {
+    let subquery = () => {};
+    groups.parse(["exists(", ")"], schema, [subquery], { allowSubqueries: true });
+
+    expect(groups.terms).to.deep.equal([]);
+    expect(groups.subqueries).to.deep.equal([{ type: "semi", query: subquery }]);
+  })
+
+  it("replaces conjuncts testing membership of subqueries with equalities", function() {
+    let subquery = () => {};
+    let inSubquery = sinon.stub().returns({ name: "$$in0", dependency: 5 });
+    groups.parse(["a.x in ", " && b"], schema, [subquery], { inSubquery });
+
+    sinon.assert.calledWith(inSubquery, subquery);
+    expect(groups.terms.map(t => t.tree())).to.deep.equal([
+      {
+        dependencies: ["$$in0", "a"],
+        expression: "$$cmp(a.x, $$in0) === 0",
+        keys: {
+          a: {
+            x: {
+              class: "RangeExpression",
+              lower: "$$in0",
+              upper: "$$in0",
+            },
+          },
+        },
+      },
+      {
+        dependencies: ["b"],
+        expression: "b",
+      },
+    ]);
+    expect(groups.terms[0].dependencies.$$in0).to.equal(5);
+  })
+
+  it("throws if membership of subquery tested where not allowed", function() {
+    expect(function() {
+      groups.parse(["a.x in ", ""], schema, [() => {}]);
+    }).to.throw(/in/);
+  })
+
+  it("throws if membership of subquery tested other than by conjunct", function() {
+    expect(function() {
+      groups.parse(["a.x in ", " || b"], schema, [() => {}], { inSubquery: () => ({}) });
+    }).to.throw(/conjunct/);
+  })
+
+  it("throws if subquery tested where not allowed", function() {
+    expect(function() {
+      groups.parse(["a && exists(", ")"], schema, [() => {}]);
+    }).to.throw(/exists/);
+  })
+
+  it("throws if subquery tested other than by conjunct", function() {
+    expect(function() {
+      groups.parse(["a || exists(", ")"], schema, [() => {}], { allowSubqueries: true });
+    }).to.throw(/conjunct/);
+  })
+
   it("compiles expression with substitution", function() {
     groups.parse(["a == ", " && b"], schema, [7]);
 
@@ -284,6 +369,14 @@ describe("TermGroups", function() {
     ]);
   })
 
+  it("merged term depends on relations of both terms", function() {
+    groups.parse("a.x && b.y", schema);
+
+    let term = groups.terms[0].merge(groups.terms[1]);
+    expect(term.dependencies).to.deep.equal({a, b});
+    expect(term.expression().prepare(new Context({}))({a: {x: 1}, b: {y: 2}})).to.equal(2);
+  })
+
   it("merges groups with substitutions", function() {
     groups.parse(["a + ", " > 1"], schema, [7]);
 
@@ -595,6 +688,109 @@ describe("TermGroups", function() {
       ]);
     })
 
+    it("identifies multiEntry range of array membership", function() {
+      groups.parse("a.tags.includes(b.x)", schema);
+      expect(groups.terms.map(t => t.tree().keys)).to.deep.equal([
+        {
+          a: {
+            tags: {
+              class: "RangeExpression",
+              lower: "b.x",
+              upper: "b.x",
+              multiEntry: true,
+            },
+          },
+          b: {
+            x: {
+              class: "RangeList",
+              values: "a.tags",
+            },
+          },
+        },
+      ]);
+    })
+
+    it("identifies list of equalities with parameter array elements", function() {
+      groups.parse("$ids.includes(a.x)", schema);
+      expect(groups.terms.map(t => t.tree().keys)).to.deep.equal([
+        {
+          a: {
+            x: {
+              class: "RangeList",
+              values: "this.params.ids",
+            },
+          },
+        },
+      ]);
+    })
+
+    it("identifies list of equalities with array literal elements", function() {
+      groups.parse(["[1, ", "].includes(a.x)"], schema, [2]);
+      expect(groups.terms.map(t => t.tree().keys)).to.deep.equal([
+        {
+          a: {
+            x: {
+              class: "RangeList",
+              values: "[1, $$subs[0]]",
+            },
+          },
+        },
+      ]);
+
+      let prepared = groups.terms[0].keyRanges().a.x.prepare(context);
+      expect(prepared.map(r => r.tree())).to.deep.equal([
+        { class: "Range", lower: 1, upper: 1 },
+        { class: "Range", lower: 2, upper: 2 },
+      ]);
+    })
+
+    it("identifies range of string prefix", function() {
+      groups.parse("a.x.startsWith($prefix)", schema);
+      expect(groups.terms.map(t => t.tree().keys.a.x)).to.deep.equal([{
+        class: "RangeExpression",
+        lower: "String(this.params.prefix)",
+        upper: "$$prefixUpper(String(this.params.prefix))",
+        upperOpen: true,
+      }]);
+
+      context.params = { prefix: "Ab" };
+      let prepared = groups.terms[0].keyRanges().a.x.prepare(context);
+      expect(prepared.map(r => r.tree())).to.deep.equal([
+        { class: "Range", lower: "Ab", upper: "Ac", upperOpen: true },
+      ]);
+    })
+
+    it("identifies no range of complement of string prefix", function() {
+      groups.parse("!a.x.startsWith('A')", schema);
+      expect(groups.terms.map(t => t.tree().keys)).to.deep.equal([undefined]);
+    })
+
+    it("identifies no range of complement of array membership", function() {
+      groups.parse("!a.tags.includes(1)", schema);
+      expect(groups.terms.map(t => t.tree().keys)).to.deep.equal([undefined]);
+    })
+
+    it("identifies union of multiEntry ranges", function() {
+      groups.parse("a.tags.includes(1) || a.tags.includes(2)", schema);
+      expect(groups.terms[0].tree().keys.a.tags.class).to.equal("RangeUnion");
+    })
+
+    it("keeps only one of intersected multiEntry ranges", function() {
+      groups.parse("a.tags.includes(1) && a.tags.includes(2)", schema);
+      let merged = groups.terms.reduce((merged, term) => merged.merge(term));
+      expect(merged.tree().keys.a.tags).to.deep.equal({
+        class: "RangeExpression",
+        lower: "1",
+        upper: "1",
+        multiEntry: true,
+      });
+    })
+
+    it("identifies no union of multiEntry and other range", function() {
+      groups.parse("a.tags.includes(1) || a.tags == 2", schema);
+      expect(groups.terms[0].tree().keys).to.be.undefined;
+    })
+
     it("identifies intersection of range and another expression of same dependent", function() {
       groups.parse("a.x == 1 && a.x", schema);
       expect(groups.terms.map(t => t.tree().keys)).to.deep.equal([
@@ -674,6 +870,42 @@ describe("Expression", function() {
     expect(expression.dependencies).to.deep.equal({a});
   })
 
+  it("replaces scalar subqueries with variables", function() {
+    let subquery = () => {};
+    let scalar = sinon.stub().returns({ name: "$$scalar0", dependency: 5 });
+    let expression = parseExpression(["a.x + scalar(", ")"], schema, [subquery], { scalar });
+
+    sinon.assert.calledWith(scalar, subquery);
+    expect(expression.tree()).to.deep.equal("a.x + $$scalar0");
+    expect(expression.dependencies).to.deep.equal({a, $$scalar0: 5});
+  })
+
+  it("throws if scalar subqueries are not allowed", function() {
+    expect(function() {
+      parseExpression(["a.x + scalar(", ")"], schema, [() => {}]);
+    }).to.throw(/scalar/);
+  })
+
+  it("records key path of expression that is only a key path", function() {
+    let expression = parseExpression(["a.x.y"], schema, []);
+    expect(expression.keyPath).to.deep.equal({dependency: "a", path: "x.y"});
+  })
+
+  it("does not record key path of other expressions", function() {
+    let expression = parseExpression(["a.x + 1"], schema, []);
+    expect(expression.keyPath).to.be.undefined;
+  })
+
+  it("records key paths read from each dependency", function() {
+    let expression = parseExpression(["a.x.y + a.z + b.w[c.v]"], schema, []);
+    expect(expression.fn.fields).to.deep.equal({a: ["x.y", "z"], b: ["w"], c: ["v"]});
+  })
+
+  it("records null for dependency used other than through key paths", function() {
+    let expression = parseExpression(["JSON.stringify(a) + a.x"], schema, []);
+    expect(expression.fn.fields).to.deep.equal({a: null});
+  })
+
   it("schemaless expression can destructure input", function() {
     let expression = parseExpression(["a.x"], undefined, []);
     expect(expression.tree()).to.deep.equal("a.x");
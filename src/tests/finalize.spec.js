@@ -5,27 +5,36 @@ require("./indexeddb-fill.js");
 const { expect } = require("chai");
 const sinon = require("sinon");
 
+let sandbox = sinon.sandbox.create();
+
 const {
   JSONObjectStore,
   CompositeUnion,
   Expression,
   GroupBy,
   Join,
+  Limit,
   NamedRelation,
   OrderBy,
   PersistentObjectStore,
+  Range,
   Write,
   Select,
   TermGroups,
   Where,
+  analyzeFields,
+  chooseJoinAlgorithms,
   eliminateCommon,
   joinSchema,
   hoistPredicates,
   parseExpression,
   prepareTransaction,
   propagateKeyRanges,
+  pushDownLimits,
+  reorderJoins,
   traversePath,
-  unknownDependency
+  unknownDependency,
+  useIndexOrder,
 } = require("..");
 
 
@@ -41,6 +50,10 @@ describe("Optimize", function() {
     namedT = new NamedRelation(arrayT, "t");
   })
 
+  afterEach(function() {
+    sandbox.restore();
+  })
+
   describe("Hoisting", function() {
     it("hoists Where predicate to NamedRelation", function() {
       let termGroups = new TermGroups();
@@ -261,6 +274,312 @@ describe("Optimize", function() {
     })
   })
 
+  describe("Join algorithm", function() {
+    it("chooses hash join for equality between left and right relations", function() {
+      let join = new Join(namedS, namedT);
+      join.termGroups.parse("s.id == t.id", {s: namedS, t: namedT});
+
+      expect(chooseJoinAlgorithms(join)).to.equal(join);
+      expect(join.algorithm).to.equal("hash");
+      expect(join.hashKeys.map(k => ({ left: k.left.tree(), right: k.right.tree() }))).to.deep.equal([{
+        left: "s.id",
+        right: "t.id",
+      }]);
+      expect(join.termGroups.terms).to.deep.equal([]);
+    })
+
+    it("chooses hash join for outer join", function() {
+      let join = new Join(namedS, namedT, "outer");
+      join.termGroups.parse("t.id == s.id", {s: namedS, t: namedT});
+
+      chooseJoinAlgorithms(join);
+      expect(join.algorithm).to.equal("hash");
+      expect(join.hashKeys.map(k => ({ left: k.left.tree(), right: k.right.tree() }))).to.deep.equal([{
+        left: "s.id",
+        right: "t.id",
+      }]);
+    })
+
+    it("does not choose hash join if right relation has index on key path", function() {
+      sandbox.stub(arrayT, "indexKeyPaths").returns([["id", "other"]]);
+      let join = new Join(namedS, namedT);
+      join.termGroups.parse("s.id == t.id", {s: namedS, t: namedT});
+
+      chooseJoinAlgorithms(join);
+      expect(join.algorithm).to.equal("nestedLoop");
+      expect(join.termGroups.terms.length).to.equal(1);
+    })
+
+    it("does not choose hash join for terms other than equality", function() {
+      let join = new Join(namedS, namedT);
+      join.termGroups.parse("s.id < t.id && s.id == 1", {s: namedS, t: namedT});
+
+      chooseJoinAlgorithms(join);
+      expect(join.algorithm).to.equal("nestedLoop");
+    })
+
+    it("chooses lookup join for semi join if left relation has index on key path", function() {
+      sandbox.stub(arrayS, "indexKeyPaths").returns(["id"]);
+      let join = new Join(namedS, namedT, "semi");
+      join.termGroups.parse("s.id == t.id", {s: namedS, t: namedT});
+
+      chooseJoinAlgorithms(join);
+      expect(join.algorithm).to.equal("lookup");
+      expect(namedS.keyRanges.id.tree()).to.deep.equal({
+        class: "RangeList",
+        values: "t.id",
+      });
+    })
+
+    it("does not choose hash join if right relation depends on left", function() {
+      let termGroups = new TermGroups();
+      termGroups.parse("t.x == s.x", {s: namedS, t: namedT});
+      let join = new Join(namedS, new Where(namedT, termGroups), "semi");
+      join.termGroups.parse("s.id == t.id", {s: namedS, t: namedT});
+
+      chooseJoinAlgorithms(join);
+      expect(join.algorithm).to.equal("nestedLoop");
+    })
+
+    it("hoists terms that depend on both sides of hash join to probe predicates", function() {
+      let join = new Join(namedS, namedT, "outer");
+      join.termGroups.parse("s.id == t.id && s.x < t.x && t.y == 1", {s: namedS, t: namedT});
+
+      chooseJoinAlgorithms(join);
+      expect(hoistPredicates(join)).to.equal(join);
+      expect(join.probePredicates.map(p => p.tree())).to.deep.equal(["$$cmp(s.x, t.x) < 0"]);
+      expect(namedT.predicates.map(p => p.tree())).to.deep.equal(["$$cmp(t.y, 1) === 0"]);
+      expect(namedS.predicates).to.deep.equal([]);
+    })
+  })
+
+  describe("Join order", function() {
+    let arrayU, namedU;
+
+    beforeEach(function() {
+      arrayU = new JSONObjectStore([1, 2]);
+      namedU = new NamedRelation(arrayU, "u");
+    })
+
+    it("moves relation with index on join key to right of join", function() {
+      sandbox.stub(arrayS, "indexKeyPaths").returns(["id"]);
+      let join = new Join(namedS, namedT);
+      join.termGroups.parse("s.id == t.id", {s: namedS, t: namedT});
+
+      let result = reorderJoins(join);
+      expect(result.lRelation).to.equal(namedT);
+      expect(result.rRelation).to.equal(namedS);
+      expect(result.termGroups.terms.map(t => t.tree().expression)).to.deep.equal(["$$cmp(s.id, t.id) === 0"]);
+    })
+
+    it("does not reorder if no relation has index", function() {
+      let join = new Join(namedS, namedT);
+      join.termGroups.parse("s.id == t.id", {s: namedS, t: namedT});
+
+      expect(reorderJoins(join)).to.equal(join);
+    })
+
+    it("considers terms of Where above joins", function() {
+      sandbox.stub(arrayS, "indexKeyPaths").returns(["id"]);
+      let where = new Where(new Join(namedS, namedT), new TermGroups());
+      where.termGroups.parse("s.id == t.id", {s: namedS, t: namedT});
+
+      let result = reorderJoins(where);
+      expect(result.relation.lRelation).to.equal(namedT);
+      expect(result.relation.rRelation).to.equal(namedS);
+    })
+
+    it("rejoins relations with each term on lowest join that can evaluate it", function() {
+      sandbox.stub(arrayS, "indexKeyPaths").returns(["id"]);
+      let join = new Join(new Join(namedS, namedT), namedU);
+      join.lRelation.termGroups.parse("s.x == 1", {s: namedS, t: namedT});
+      join.termGroups.parse("s.id == u.id && t.x == u.x", {s: namedS, t: namedT, u: namedU});
+
+      let result = reorderJoins(join);
+      expect(result.lRelation.lRelation).to.equal(namedU);
+      expect(result.lRelation.rRelation).to.equal(namedS);
+      expect(result.rRelation).to.equal(namedT);
+      expect(result.lRelation.termGroups.terms.map(t => t.tree().expression)).to.deep.equal([
+        "$$cmp(s.id, u.id) === 0",
+        "$$cmp(s.x, 1) === 0",
+      ]);
+      expect(result.termGroups.terms.map(t => t.tree().expression)).to.deep.equal([
+        "$$cmp(t.x, u.x) === 0",
+      ]);
+    })
+
+    it("does not reorder relations across outer join", function() {
+      sandbox.stub(arrayS, "indexKeyPaths").returns(["id"]);
+      let join = new Join(namedS, namedT, "outer");
+      join.termGroups.parse("s.id == t.id", {s: namedS, t: namedT});
+
+      expect(reorderJoins(join)).to.equal(join);
+      expect(join.lRelation).to.equal(namedS);
+    })
+
+    it("prefers order with fewest estimated tuples", function() {
+      sandbox.stub(arrayS, "estimateRows").returns(100);
+      sandbox.stub(arrayT, "estimateRows").returns(10);
+      let join = new Join(namedS, namedT);
+      join.termGroups.parse("s.x < t.x", {s: namedS, t: namedT});
+
+      let result = reorderJoins(join);
+      expect(result.lRelation).to.equal(namedT);
+      expect(result.rRelation).to.equal(namedS);
+    })
+  })
+
+  describe("Index order", function() {
+    it("replaces OrderBy with ordered NamedRelation if object store supports order", function() {
+      sandbox.stub(arrayS, "supportsOrder").returns(true);
+      let orderBy = new OrderBy(namedS, [{ expression: parseExpression("s.id", {s: namedS}), order: -1, nulls: 1 }]);
+
+      expect(useIndexOrder(orderBy)).to.equal(namedS);
+      expect(namedS.order).to.deep.equal({keyPaths: ["id"], direction: "prev", nulls: 1});
+      sinon.assert.calledWith(arrayS.supportsOrder, ["id"]);
+    })
+
+    it("orders NamedRelation by several key paths", function() {
+      sandbox.stub(arrayS, "supportsOrder").returns(true);
+      let orderBy = new OrderBy(namedS, [
+        { expression: parseExpression("s.a", {s: namedS}), order: 1, nulls: 1 },
+        { expression: parseExpression("s.b", {s: namedS}), order: 1, nulls: 1 },
+      ]);
+
+      expect(useIndexOrder(orderBy)).to.equal(namedS);
+      expect(namedS.order).to.deep.equal({keyPaths: ["a", "b"], direction: "next", nulls: 1});
+    })
+
+    it("does not replace OrderBy if object store does not support order", function() {
+      let orderBy = new OrderBy(namedS, [{ expression: parseExpression("s.id", {s: namedS}), order: 1, nulls: 1 }]);
+
+      expect(useIndexOrder(orderBy)).to.equal(orderBy);
+      expect(namedS.order).to.be.undefined;
+    })
+
+    it("does not replace OrderBy with mixed directions", function() {
+      sandbox.stub(arrayS, "supportsOrder").returns(true);
+      let orderBy = new OrderBy(namedS, [
+        { expression: parseExpression("s.a", {s: namedS}), order: 1, nulls: 1 },
+        { expression: parseExpression("s.b", {s: namedS}), order: -1, nulls: 1 },
+      ]);
+
+      expect(useIndexOrder(orderBy)).to.equal(orderBy);
+    })
+
+    it("does not replace OrderBy on expression other than key path", function() {
+      sandbox.stub(arrayS, "supportsOrder").returns(true);
+      let orderBy = new OrderBy(namedS, [{ expression: parseExpression("-s.id", {s: namedS}), order: 1, nulls: 1 }]);
+
+      expect(useIndexOrder(orderBy)).to.equal(orderBy);
+    })
+
+    it("does not replace OrderBy if NamedRelation has key range for another key path", function() {
+      sandbox.stub(arrayS, "supportsOrder").returns(true);
+      namedS.keyRanges.other = parseExpression("1", {});
+      let orderBy = new OrderBy(namedS, [{ expression: parseExpression("s.id", {s: namedS}), order: 1, nulls: 1 }]);
+
+      expect(useIndexOrder(orderBy)).to.equal(orderBy);
+    })
+
+    it("does not replace OrderBy over Join", function() {
+      sandbox.stub(arrayS, "supportsOrder").returns(true);
+      let join = new Join(namedS, namedT);
+      let orderBy = new OrderBy(join, [{ expression: parseExpression("s.id", {s: namedS}), order: 1, nulls: 1 }]);
+
+      expect(useIndexOrder(orderBy)).to.equal(orderBy);
+    })
+  })
+
+  describe("Limit push down", function() {
+    it("pushes Limit down to NamedRelation of object store", function() {
+      let limit = new Limit(namedS, 10, 20);
+
+      expect(pushDownLimits(limit)).to.equal(namedS);
+      expect(namedS.limit).to.equal(10);
+      expect(namedS.offset).to.equal(20);
+    })
+
+    it("pushes Limit down through Select", function() {
+      let select = new Select(namedS, parseExpression("s.id", {s: namedS}));
+      let limit = new Limit(select, 10);
+
+      expect(pushDownLimits(limit)).to.equal(select);
+      expect(namedS.limit).to.equal(10);
+      expect(namedS.offset).to.be.undefined;
+    })
+
+    it("does not push Limit down to NamedRelation with predicates", function() {
+      namedS.predicates.push(parseExpression("s.id == 1", {s: namedS}));
+      let limit = new Limit(namedS, 10);
+
+      expect(pushDownLimits(limit)).to.equal(limit);
+      expect(namedS.limit).to.be.undefined;
+    })
+
+    it("does not push Limit down through OrderBy", function() {
+      let orderBy = new OrderBy(namedS, [{ expression: parseExpression("s.id", {s: namedS}), order: 1 }]);
+      let limit = new Limit(orderBy, 10);
+
+      expect(pushDownLimits(limit)).to.equal(limit);
+      expect(namedS.limit).to.be.undefined;
+    })
+
+    it("does not push Limit down through Join", function() {
+      let join = new Join(namedS, namedT);
+      let limit = new Limit(join, 10);
+
+      expect(pushDownLimits(limit)).to.equal(limit);
+      expect(namedS.limit).to.be.undefined;
+      expect(namedT.limit).to.be.undefined;
+    })
+  })
+
+  describe("Field analysis", function() {
+    it("records key paths read by projection of object store", function() {
+      sandbox.stub(arrayS, "supportsFields").returns(true);
+      let where = new Where(namedS, new TermGroups());
+      where.predicates.push(parseExpression("s.a.b == 1", {s: namedS}));
+      let select = new Select(where, parseExpression("{id: s.id}", {s: namedS}));
+
+      expect(analyzeFields(select)).to.equal(select);
+      expect(namedS.fields).to.deep.equal(["id", "a.b"]);
+    })
+
+    it("records key paths of NamedRelation key ranges", function() {
+      sandbox.stub(arrayS, "supportsFields").returns(true);
+      namedS.keyRanges.a = new Range(1, 1);
+      let select = new Select(namedS, parseExpression("s.id", {s: namedS}));
+
+      analyzeFields(select);
+      expect(namedS.fields).to.deep.equal(["id", "a"]);
+    })
+
+    it("records no key paths if object store does not support them", function() {
+      let select = new Select(namedS, parseExpression("s.id", {s: namedS}));
+
+      analyzeFields(select);
+      expect(namedS.fields).to.be.undefined;
+    })
+
+    it("records no key paths for tuples used as a whole", function() {
+      sandbox.stub(arrayS, "supportsFields").returns(true);
+      let select = new Select(namedS, parseExpression("{s}", {s: namedS}));
+
+      analyzeFields(select);
+      expect(namedS.fields).to.be.undefined;
+    })
+
+    it("records no key paths for tuples produced by the query", function() {
+      sandbox.stub(arrayS, "supportsFields").returns(true);
+      let where = new Where(namedS, new TermGroups());
+      where.predicates.push(parseExpression("s.id == 1", {s: namedS}));
+
+      analyzeFields(where);
+      expect(namedS.fields).to.be.undefined;
+    })
+  })
+
   describe("Analyze transaction", function() {
     it("adds transaction node for object store names of PersistentObjectStore nodes", function() {
       let db = {};
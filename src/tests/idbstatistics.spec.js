@@ -0,0 +1,244 @@
+"use strict";
+
+require("./indexeddb-fill.js");
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+
+const indexedDB = require("fake-indexeddb");
+
+const {
+  PersistentObjectStore,
+  Range,
+  clearStatistics,
+  gatherStatistics,
+  getStatistics,
+  select,
+} = require("..");
+
+let databaseIdx = 1;
+
+const openDatabase = (name, version, upgrade) => {
+  return new Promise((resolve, reject) => {
+    let request = indexedDB.open(name, version);
+    request.onupgradeneeded = () => upgrade(request.result);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+const createPeople = (db) => {
+  let person = db.createObjectStore("person", {keyPath: "id"});
+  person.createIndex("byCity", "city", {unique: false});
+  person.createIndex("byCountry", "country", {unique: false});
+  person.createIndex("ageByCountry", ["country", "age"], {unique: false});
+
+  let cities = ["Paris", "Lyon", "Nice", "Lille", "Nantes"];
+  for (let i = 0; i < 20; ++i)
+    person.put({id: i, city: cities[i % cities.length], country: "France", age: 20 + i});
+  person.put({id: 20, city: "Berlin", country: "Germany", age: 25});
+}
+
+describe("IndexedDB statistics", function() {
+  let db, name;
+  let person;
+
+  beforeEach(function() {
+    clearStatistics();
+    name = "statistics" + databaseIdx;
+    ++databaseIdx;
+    return openDatabase(name, 1, createPeople).then(db_ => {
+      db = db_;
+      person = new PersistentObjectStore(db, "person");
+    });
+  })
+
+  afterEach(function() {
+    db.close();
+  })
+
+  const chooseBestIndex = (keyRanges) => {
+    let store = db.transaction(["person"], "readonly").objectStore("person");
+    return person.chooseBestIndex(store, keyRanges);
+  }
+
+  it("counts records and distinct index keys", function() {
+    expect(getStatistics(db, "person")).to.be.undefined;
+    return gatherStatistics(db).then(() => {
+      expect(getStatistics(db, "person")).to.deep.equal({
+        count: 21,
+        indexes: {
+          byCity: { count: 21, distinct: 6 },
+          byCountry: { count: 21, distinct: 2 },
+          ageByCountry: { count: 21, distinct: 21, leadingDistinct: 2 },
+        },
+      });
+    });
+  })
+
+  it("discards statistics when database version changes", function() {
+    return gatherStatistics(db, ["person"]).then(() => {
+      db.close();
+      return openDatabase(name, 2, () => {});
+    }).then(db_ => {
+      db = db_;
+      expect(getStatistics(db, "person")).to.be.undefined;
+    });
+  })
+
+  it("chooses index heuristically without statistics", function() {
+    let best = chooseBestIndex({
+      city: new Range("Paris", "Paris"),
+      country: new Range("France", "France"),
+    });
+    expect(best.index.name).to.equal("byCountry");
+  })
+
+  it("chooses most selective index with statistics", function() {
+    return gatherStatistics(db).then(() => {
+      let best = chooseBestIndex({
+        city: new Range("Paris", "Paris"),
+        country: new Range("France", "France"),
+      });
+      expect(best.index.name).to.equal("byCity");
+    });
+  })
+
+  it("prefers equality to range with statistics", function() {
+    return gatherStatistics(db).then(() => {
+      let best = chooseBestIndex({
+        id: new Range(0, 15),
+        city: new Range("Paris", "Paris"),
+      });
+      expect(best.index.name).to.equal("byCity");
+    });
+  })
+
+  it("reads object store schema once while estimating rows", function() {
+    return gatherStatistics(db).then(() => {
+      sinon.spy(db, "transaction");
+      const estimate = () => person.estimateRows({ city: new Range("Paris", "Paris") });
+      expect(estimate()).to.equal(21 / 6);
+      expect(estimate()).to.equal(21 / 6);
+      sinon.assert.calledOnce(db.transaction);
+    });
+  })
+
+  it("chooses skip scan only with statistics", function() {
+    let keyRanges = { age: new Range(25, 25) };
+    expect(chooseBestIndex(keyRanges)).to.deep.equal({});
+
+    return gatherStatistics(db).then(() => {
+      let best = chooseBestIndex(keyRanges);
+      expect(best.index.name).to.equal("ageByCountry");
+      expect(best.skipScan).to.be.true;
+    });
+  })
+
+  it("does not choose skip scan when leading key has many distinct values", function() {
+    return gatherStatistics(db).then(() => {
+      getStatistics(db, "person").indexes.ageByCountry.leadingDistinct = 20;
+      expect(chooseBestIndex({ age: new Range(25, 25) })).to.deep.equal({});
+    });
+  })
+
+  it("queries using skip scan", function() {
+    let query = select `person.id`
+                 .from ({person})
+                .where `person.age == 25`;
+
+    return gatherStatistics(db).then(() => query.explain()).then(explanation => {
+      expect(explanation.plan.relation.relation.scan).to.deep.include({
+        index: "ageByCountry",
+        skipScan: true,
+      });
+      return query();
+    }).then(result => {
+      expect(result).to.deep.equal([5, 20]);
+    });
+  })
+
+  it("queries using skip scan with binary and array leading keys", function() {
+    const createItems = (db) => {
+      let item = db.createObjectStore("item", {keyPath: "id"});
+      item.createIndex("byCode", ["code", "n"], {unique: false});
+
+      let codes = [3, "b", new Uint8Array([1]).buffer, new Uint8Array([1, 0]).buffer, ["a"], ["a", 1]];
+      for (let i = 0; i < 24; ++i)
+        item.put({id: i, code: codes[i % codes.length], n: Math.floor(i / codes.length) % 2});
+    }
+
+    let query;
+    db.close();
+    return openDatabase(name + "items", 1, createItems).then(db_ => {
+      db = db_;
+      let item = new PersistentObjectStore(db, "item");
+      query = select `item.id`
+               .from ({item})
+              .where `item.n == 1`;
+      return gatherStatistics(db);
+    }).then(() => {
+      expect(getStatistics(db, "item").indexes.byCode.leadingDistinct).to.equal(6);
+      return query.explain();
+    }).then(explanation => {
+      expect(explanation.plan.relation.relation.scan).to.deep.include({
+        index: "byCode",
+        skipScan: true,
+      });
+      return query();
+    }).then(result => {
+      expect(result).to.deep.equal([6, 18, 7, 19, 8, 20, 9, 21, 10, 22, 11, 23]);
+    });
+  })
+
+  it("queries using skip scan with range, limit and offset", function() {
+    return gatherStatistics(db).then(() => {
+      return select `person.id`
+              .from ({person})
+             .where `person.age >= 24 && person.age < 37`
+             .limit (4)
+            .offset (2);
+    }).then(result => {
+      expect(result).to.deep.equal([6, 7, 8, 9]);
+    });
+  })
+
+  it("queries in descending order using skip scan", function() {
+    return gatherStatistics(db).then(() => {
+      return select `person.id`
+              .from ({person})
+             .where `person.age == 25 || person.age == 21`
+           .orderBy `person.country`.desc
+           .orderBy `person.age`.desc;
+    }).then(result => {
+      expect(result).to.deep.equal([20, 5, 1]);
+    });
+  })
+
+  it("queries using chosen index", function() {
+    return gatherStatistics(db).then(() => {
+      return select `person.id`
+              .from ({person})
+             .where `person.country == 'France' && person.city == 'Nice'`;
+    }).then(result => {
+      expect(result).to.deep.equal([2, 7, 12, 17]);
+    });
+  })
+
+  it("estimates rows selected by dependent key ranges", function() {
+    let query = select `person.id`
+                 .from ({person})
+                 .join ({other: person})
+                   .on `other.city == person.city`;
+
+    return gatherStatistics(db).then(() => query.explain()).then(explanation => {
+      let join = explanation.plan.relation.relation;
+      expect(join.rRelation.scan).to.deep.equal({
+        objectStore: "person",
+        index: "byCity",
+        keyPath: "city",
+        estimatedRows: 4,
+      });
+    });
+  })
+})
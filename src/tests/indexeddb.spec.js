@@ -5,21 +5,30 @@ require("./indexeddb-fill.js");
 const { expect } = require("chai");
 const sinon = require("sinon");
 const { Observable } = require("../rx");
+const { nextUp } = require("../range");
 
 const indexedDB = require("fake-indexeddb");
+const IDBCursor = require("fake-indexeddb/lib/FDBCursor");
+const IDBIndex = require("fake-indexeddb/lib/FDBIndex");
+const IDBObjectStore = require("fake-indexeddb/lib/FDBObjectStore");
 const IDBKeyRange = require("fake-indexeddb/lib/FDBKeyRange");
 
 const {
   Context,
+  LocalChannel,
   TransactionNode,
   PersistentObjectStore,
   PrimaryKey,
   Range,
+  RangeUnion,
   deleteFrom,
   getTransaction,
   select,
   insert,
-  update
+  setChangeChannel,
+  setTracer,
+  update,
+  withRecursive,
 } = require("..");
 
 let sandbox = sinon.sandbox.create();
@@ -56,6 +65,21 @@ const createDatabase = () => {
       inventoryItem.put({storeId: 1, isbn: 345678, quantity: 5});
       inventoryItem.put({storeId: 2, isbn: 123456, quantity: 1});
       inventoryItem.put({storeId: 2, isbn: 234567, quantity: 2});
+
+      let employee = db.createObjectStore("employee", {keyPath: "id"});
+      employee.createIndex("byManagerId", "managerId", {unique: false});
+      employee.put({id: 1, name: "Fred"});
+      employee.put({id: 2, name: "Barney", managerId: 1});
+      employee.put({id: 3, name: "Wilma", managerId: 1});
+      employee.put({id: 4, name: "Pebbles", managerId: 3});
+      employee.put({id: 5, name: "Dino", managerId: 6});
+      employee.put({id: 6, name: "Hoppy", managerId: 5});
+
+      let magazine = db.createObjectStore("magazine", {keyPath: "issn"});
+      magazine.createIndex("byTag", "tags", {unique: false, multiEntry: true});
+      magazine.put({title: "Rock Monthly", tags: ["geology", "music"], issn: 1});
+      magazine.put({title: "Dino Weekly", tags: ["pets", "geology"], issn: 2});
+      magazine.put({title: "Cave Living", tags: ["homes"], issn: 3});
     }
 
     request.onsuccess = function(event) {
@@ -76,7 +100,7 @@ const resultArray = (observable) => {
 
 describe("IndexedDB integration", function() {
   let context;
-  let book, inventoryItem, store;
+  let book, employee, inventoryItem, magazine, store;
   let db;
 
   beforeEach(function() {
@@ -84,7 +108,9 @@ describe("IndexedDB integration", function() {
     return createDatabase().then(db_ => {
       db = db_;
       book = new PersistentObjectStore(db, "book");
+      employee = new PersistentObjectStore(db, "employee");
       inventoryItem = new PersistentObjectStore(db, "inventoryItem");
+      magazine = new PersistentObjectStore(db, "magazine");
       store = new PersistentObjectStore(db, "store");
     });
   })
@@ -125,6 +151,247 @@ describe("IndexedDB integration", function() {
       });
     })
 
+    it("retrieves limited number of rows", function() {
+      book.batchSize = 0;
+      sandbox.spy(IDBCursor.prototype, "continue");
+      let observable = book.execute(context, undefined, { limit: 2 });
+      return resultArray(observable).then(results => {
+        expect(results).to.deep.equal([
+          {title: "Quarry Memories", author: "Fred", isbn: 123456},
+          {title: "Water Buffaloes", author: "Fred", isbn: 234567},
+        ]);
+        sinon.assert.calledOnce(IDBCursor.prototype.continue);
+      });
+    })
+
+    it("advances cursor past offset rows", function() {
+      sandbox.spy(IDBCursor.prototype, "advance");
+      let observable = book.execute(context, undefined, { offset: 1, limit: 1 });
+      return resultArray(observable).then(results => {
+        expect(results).to.deep.equal([
+          {title: "Water Buffaloes", author: "Fred", isbn: 234567},
+        ]);
+        sinon.assert.calledWith(IDBCursor.prototype.advance, 1);
+      });
+    })
+
+    it("applies limit and offset across several key ranges", function() {
+      let observable = book.execute(context, {
+        isbn: new RangeUnion(new Range(123456, 123456), new Range(234567, 345678)),
+      }, { offset: 1, limit: 1 });
+      return resultArray(observable).then(results => {
+        expect(results).to.deep.equal([
+          {title: "Water Buffaloes", author: "Fred", isbn: 234567},
+        ]);
+      });
+    })
+
+    it("retrieves rows in index order", function() {
+      let observable = book.execute(context, undefined, {
+        order: { keyPaths: ["title"], direction: "prev", nulls: 1 },
+      });
+      return resultArray(observable).then(results => {
+        expect(results).to.deep.equal([
+          {title: "Water Buffaloes", author: "Fred", isbn: 234567},
+          {title: "Quarry Memories", author: "Fred", isbn: 123456},
+          {title: "Bedrock Nights", author: "Barney", isbn: 345678},
+        ]);
+      });
+    })
+
+    it("reads only keys when they include all fields", function() {
+      sandbox.spy(IDBIndex.prototype, "openKeyCursor");
+      let observable = book.execute(context, {
+        author: new Range("Fred", "Fred"),
+      }, { fields: ["isbn", "author"] });
+      return resultArray(observable).then(results => {
+        expect(results).to.deep.equal([
+          {author: "Fred", isbn: 123456},
+          {author: "Fred", isbn: 234567},
+        ]);
+        sinon.assert.calledOnce(IDBIndex.prototype.openKeyCursor);
+      });
+    })
+
+    it("reads whole records when keys do not include all fields", function() {
+      sandbox.spy(IDBIndex.prototype, "openKeyCursor");
+      let observable = book.execute(context, {
+        author: new Range("Fred", "Fred"),
+      }, { fields: ["isbn", "title"] });
+      return resultArray(observable).then(results => {
+        expect(results).to.deep.equal([
+          {title: "Quarry Memories", author: "Fred", isbn: 123456},
+          {title: "Water Buffaloes", author: "Fred", isbn: 234567},
+        ]);
+        sinon.assert.notCalled(IDBIndex.prototype.openKeyCursor);
+      });
+    })
+
+    it("reads composite primary key with key cursor", function() {
+      let observable = inventoryItem.execute(context, {
+        storeId: new Range(2, 2),
+      }, { fields: ["isbn"] });
+      return resultArray(observable).then(results => {
+        expect(results).to.deep.equal([
+          {storeId: 2, isbn: 123456},
+          {storeId: 2, isbn: 234567},
+        ]);
+      });
+    })
+
+    it("uses cursor when engine lacks getAll", function() {
+      sandbox.stub(IDBObjectStore.prototype, "getAll").value(undefined);
+      sandbox.spy(IDBCursor.prototype, "continue");
+      let observable = book.execute(context);
+      return resultArray(observable).then(results => {
+        expect(results.length).to.equal(3);
+        sinon.assert.calledThrice(IDBCursor.prototype.continue);
+      });
+    })
+
+    describe("batched reads", function() {
+      beforeEach(function() {
+        [IDBObjectStore.prototype, IDBIndex.prototype].forEach(proto => {
+          sandbox.spy(proto, "getAll");
+          sandbox.spy(proto, "getAllKeys");
+        });
+        book.batchSize = 2;
+        store.batchSize = 2;
+
+        // The transaction opened above is no longer active by the time this runs.
+        idbTransaction = db.transaction(["book", "store"], "readonly");
+        context.transaction = getTransaction(idbTransaction);
+      })
+
+      it("retrieves all rows in batches", function() {
+        let observable = book.execute(context);
+        return resultArray(observable).then(results => {
+          expect(results).to.deep.equal([
+            {title: "Quarry Memories", author: "Fred", isbn: 123456},
+            {title: "Water Buffaloes", author: "Fred", isbn: 234567},
+            {title: "Bedrock Nights", author: "Barney", isbn: 345678},
+          ]);
+          sinon.assert.calledTwice(IDBObjectStore.prototype.getAll);
+          expect(IDBObjectStore.prototype.getAll.secondCall.args[0].lower).to.equal(234567);
+          expect(IDBObjectStore.prototype.getAll.secondCall.args[0].lowerOpen).to.be.true;
+        });
+      })
+
+      it("requests no more rows than limit", function() {
+        let observable = book.execute(context, undefined, { limit: 2 });
+        return resultArray(observable).then(results => {
+          expect(results.length).to.equal(2);
+          sinon.assert.calledOnce(IDBObjectStore.prototype.getAll);
+          sinon.assert.calledWith(IDBObjectStore.prototype.getAll, null, 2);
+        });
+      })
+
+      it("resumes unique index after last key within range", function() {
+        let observable = book.execute(context, {
+          title: new Range("A", "X"),
+        }, { order: { keyPaths: ["title"], direction: "next", nulls: 1 } });
+        return resultArray(observable).then(results => {
+          expect(results.map(r => r.title)).to.deep.equal(["Bedrock Nights", "Quarry Memories", "Water Buffaloes"]);
+          sinon.assert.calledTwice(IDBIndex.prototype.getAll);
+          expect(IDBIndex.prototype.getAll.secondCall.args[0].upper).to.equal("X");
+        });
+      })
+
+      it("fetches out-of-line primary keys", function() {
+        let observable = store.execute(context);
+        return resultArray(observable).then(results => {
+          expect(results.map(r => r[PrimaryKey])).to.deep.equal([1, 2, 3]);
+          sinon.assert.calledTwice(IDBObjectStore.prototype.getAllKeys);
+        });
+      })
+
+      it("fetches only keys when they include all fields", function() {
+        let observable = book.execute(context, undefined, { fields: ["isbn"] });
+        return resultArray(observable).then(results => {
+          expect(results).to.deep.equal([{isbn: 123456}, {isbn: 234567}, {isbn: 345678}]);
+          sinon.assert.notCalled(IDBObjectStore.prototype.getAll);
+        });
+      })
+
+      it("uses cursor for index that is not unique", function() {
+        let observable = book.execute(context, {
+          author: new Range("Fred", "Fred"),
+        });
+        return resultArray(observable).then(results => {
+          expect(results.length).to.equal(2);
+          sinon.assert.notCalled(IDBIndex.prototype.getAll);
+        });
+      })
+
+      it("uses cursor when batchSize is zero", function() {
+        book.batchSize = 0;
+        let observable = book.execute(context);
+        return resultArray(observable).then(results => {
+          expect(results.length).to.equal(3);
+          sinon.assert.notCalled(IDBObjectStore.prototype.getAll);
+        });
+      })
+    })
+
+    it("retrieves rows in reverse primary key order across several key ranges", function() {
+      let observable = book.execute(context, {
+        isbn: new RangeUnion(new Range(123456, 123456), new Range(234567, 345678)),
+      }, {
+        order: { keyPaths: ["isbn"], direction: "prev", nulls: 1 },
+        limit: 2,
+      });
+      return resultArray(observable).then(results => {
+        expect(results).to.deep.equal([
+          {title: "Bedrock Nights", author: "Barney", isbn: 345678},
+          {title: "Water Buffaloes", author: "Fred", isbn: 234567},
+        ]);
+      });
+    })
+
+    it("retrieves rows missing from ordered index according to nulls option", function() {
+      idbTransaction.objectStore("book").put({author: "Wilma", isbn: 456789});
+
+      let nullsLast = book.execute(context, undefined, {
+        order: { keyPaths: ["title"], direction: "next", nulls: 1 },
+        offset: 2,
+      });
+      let nullsFirst = book.execute(context, undefined, {
+        order: { keyPaths: ["title"], direction: "next", nulls: -1 },
+        limit: 2,
+      });
+      return Promise.all([resultArray(nullsLast), resultArray(nullsFirst)]).then(([last, first]) => {
+        expect(last).to.deep.equal([
+          {title: "Water Buffaloes", author: "Fred", isbn: 234567},
+          {author: "Wilma", isbn: 456789},
+        ]);
+        expect(first).to.deep.equal([
+          {author: "Wilma", isbn: 456789},
+          {title: "Bedrock Nights", author: "Barney", isbn: 345678},
+        ]);
+      });
+    })
+
+    it("retrieves rows with invalid keys missing from ordered index", function() {
+      idbTransaction.objectStore("book").put({title: true, author: "Wilma", isbn: 456789});
+      idbTransaction.objectStore("book").put({title: {text: "Rock Music"}, author: "Betty", isbn: 567890});
+
+      let observable = book.execute(context, undefined, {
+        order: { keyPaths: ["title"], direction: "next", nulls: 1 },
+      });
+      return resultArray(observable).then(results => {
+        expect(results.map(r => r.isbn)).to.deep.equal([345678, 123456, 234567, 456789, 567890]);
+      });
+    })
+
+    it("supports order of primary key, prefix of composite primary key and single key path indexes", function() {
+      expect(book.supportsOrder(["isbn"])).to.be.true;
+      expect(book.supportsOrder(["title"])).to.be.true;
+      expect(book.supportsOrder(["rating"])).to.be.false;
+      expect(inventoryItem.supportsOrder(["storeId"])).to.be.true;
+      expect(inventoryItem.supportsOrder(["storeId", "isbn"])).to.be.true;
+      expect(inventoryItem.supportsOrder(["isbn", "storeId"])).to.be.false;
+    })
+
     it("chooses primary key as index", function() {
       let keyRanges = {
         isbn: new Range(123456,123456),
@@ -211,6 +478,18 @@ describe("IndexedDB integration", function() {
       expect(best.array).to.be.true;
     });
 
+    it("uses key paths of composite key following a discrete range", function() {
+      let keyRanges = {
+        storeId: new RangeUnion(new Range(1, 1), new Range(2, 2)),
+        isbn: new Range(100, 200),
+      };
+
+      let objectStore = idbTransaction.objectStore("inventoryItem");
+      let best = inventoryItem.chooseBestIndex(objectStore, keyRanges);
+      expect(best.index).to.equal(objectStore);
+      expect(best.ranges).to.deep.equal([keyRanges.storeId, keyRanges.isbn]);
+    });
+
     it("does not use composite key if range unavailable for first part", function() {
       let keyRanges = {
         isbn: new Range(100, 200),
@@ -419,6 +698,37 @@ describe("IndexedDB integration", function() {
     });
   })
 
+  it("uses index order rather than sorting", function() {
+    sandbox.spy(IDBCursor.prototype, "continue");
+    let query = select `{title: book.title}`
+                 .from ({book})
+              .orderBy `book.title`.desc
+                .limit (2);
+
+    expect(query.finalize().tree().relation).to.deep.equal({
+      class: "Select",
+      selector: "{ title: book.title }",
+      relation: {
+        class: "NamedRelation",
+        name: "book",
+        fields: ["title"],
+        relation: {
+          class: "PersistentObjectStore",
+        },
+        limit: 2,
+        order: { keyPaths: ["title"], direction: "prev", nulls: 1 },
+      },
+    });
+
+    return query.then(result => {
+      expect(result).to.deep.equal([
+        {title: "Water Buffaloes"},
+        {title: "Quarry Memories"},
+      ]);
+      sinon.assert.calledOnce(IDBCursor.prototype.continue);
+    });
+  })
+
   it("can build query and execute against object store using its index", function() {
     let query = select `{title: book.title}`
                  .from ({book})
@@ -501,6 +811,302 @@ describe("IndexedDB integration", function() {
     });
   })
 
+  it("looks up records tested by correlated exists subquery using index", function() {
+    let query = select `book.title`
+                 .from ({book})
+                .where `exists(${select `inventoryItem`
+                                  .from ({inventoryItem})
+                                 .where `inventoryItem.isbn == book.isbn && inventoryItem.quantity > 4`})`;
+
+    return query.explain().then(explanation => {
+      let join = explanation.plan.relation.relation;
+      expect(join.type).to.equal("semi");
+      expect(join.rRelation.relation.scan).to.deep.include({
+        objectStore: "inventoryItem",
+        index: "byISBN",
+      });
+      return query;
+    }).then(result => {
+      expect(result).to.deep.equal(["Bedrock Nights"]);
+    });
+  })
+
+  it("can test correlated notExists subquery", function() {
+    let query = select `book.title`
+                 .from ({book})
+                .where `book.author == 'Barney' && notExists(${select `inventoryItem`
+                                                                .from ({inventoryItem})
+                                                               .where `inventoryItem.isbn == book.isbn && inventoryItem.storeId == 2`})`;
+
+    return query.then(result => {
+      expect(result).to.deep.equal(["Bedrock Nights"]);
+    });
+  })
+
+  it("looks up records tested by in subquery using index", function() {
+    let author = [
+      {name: "Barney", born: 1960},
+      {name: "Wilma", born: 1962},
+    ];
+
+    let query = select `book.title`
+                 .from ({book})
+                .where `book.author in ${select `author.name`
+                                          .from ({author})
+                                         .where `author.born > 1950`}`;
+
+    return query.explain().then(explanation => {
+      let join = explanation.plan.relation.relation;
+      expect(join.type).to.equal("semi");
+      expect(join.algorithm).to.equal("lookup");
+      expect(join.lRelation.scan).to.deep.include({
+        objectStore: "book",
+        index: "byAuthor",
+      });
+      return query;
+    }).then(result => {
+      expect(result).to.deep.equal(["Bedrock Nights"]);
+    });
+  })
+
+  it("looks up records tested by in subquery once for each distinct value", function() {
+    let query = select `book.title`
+                 .from ({book})
+                .where `book.isbn in ${select `inventoryItem.isbn`
+                                        .from ({inventoryItem})
+                                       .where `inventoryItem.quantity < 5`}`;
+
+    return query.explain().then(explanation => {
+      let join = explanation.plan.relation.relation;
+      expect(join.algorithm).to.equal("lookup");
+      expect(join.lRelation.scan).to.deep.equal({
+        objectStore: "book",
+        keyPath: "isbn",
+        estimatedRows: 1,
+      });
+      return query;
+    }).then(result => {
+      expect(result).to.deep.equal(["Quarry Memories", "Water Buffaloes"]);
+    });
+  })
+
+  it("runs recursive query in single transaction, looking up each iteration's tuples by index", function() {
+    let query = withRecursive({
+                  report: [
+                    select `employee` .from ({employee}) .where `employee.id == $id`,
+                    select `employee`
+                     .from ({employee})
+                     .join ({manager: "report"})
+                       .on `employee.managerId == manager.id`,
+                  ],
+                })
+                .select `report.name`
+                  .from ({report: "report"});
+
+    return query.explain({id: 1}).then(explanation => {
+      let recursiveUnion = explanation.plan.relation.relation.relation.relation.relation;
+      expect(recursiveUnion.step.relation.rRelation.scan).to.deep.include({
+        objectStore: "employee",
+        index: "byManagerId",
+      });
+
+      sandbox.spy(db, "transaction");
+      return query({id: 1});
+    }).then(result => {
+      expect(result).to.deep.equal(["Fred", "Barney", "Wilma", "Pebbles"]);
+      sinon.assert.calledOnce(db.transaction);
+    });
+  })
+
+  it("stops recursive query when iteration produces only tuples produced before", function() {
+    let query = withRecursive({
+                  report: [
+                    select `employee` .from ({employee}) .where `employee.id == $id`,
+                    select `employee`
+                     .from ({employee})
+                     .join ({manager: "report"})
+                       .on `employee.managerId == manager.id`,
+                  ],
+                })
+                .select `report.name`
+                  .from ({report: "report"});
+
+    return query({id: 5}).then(result => {
+      expect(result).to.deep.equal(["Dino", "Hoppy"]);
+    });
+  })
+
+  it("can hash join object store with array", function() {
+    let size = [
+      {quantity: 1, name: "Few"},
+      {quantity: 5, name: "Many"},
+    ];
+
+    let query = select `{isbn: inventoryItem.isbn, size: size.name}`
+                 .from ({inventoryItem})
+                 .join ({size})
+                   .on `size.quantity == inventoryItem.quantity`;
+
+    expect(query.finalize().tree().relation.relation.algorithm).to.equal("hash");
+    return query.then(result => {
+      expect(result).to.deep.equal([
+        {isbn: 345678, size: "Many"},
+        {isbn: 123456, size: "Few"},
+      ]);
+    });
+  })
+
+  it("looks up each distinct key of parameter array in order", function() {
+    sandbox.spy(IDBObjectStore.prototype, "getAll");
+    let query = select `book.title`
+                 .from ({book})
+                .where `$isbns.includes(book.isbn)`;
+
+    return query({isbns: [345678, 123456, 345678, 999999]}).then(result => {
+      expect(result).to.deep.equal(["Quarry Memories", "Bedrock Nights"]);
+      sinon.assert.calledThrice(IDBObjectStore.prototype.getAll);
+    });
+  })
+
+  it("looks up keys of array literal", function() {
+    let query = select `book.title`
+                 .from ({book})
+                .where `[234567, 123456].includes(book.isbn)`;
+
+    return query().then(result => {
+      expect(result).to.deep.equal(["Quarry Memories", "Water Buffaloes"]);
+    });
+  })
+
+  it("matches substrings of string tested with includes", function() {
+    let query = select `book.title`
+                 .from ({book})
+                .where `"Fred Flintstone".includes(book.author)`;
+
+    return query().then(result => {
+      expect(result).to.deep.equal(["Quarry Memories", "Water Buffaloes"]);
+    });
+  })
+
+  it("looks up string prefix in index", function() {
+    let query = select `book.title`
+                 .from ({book})
+                .where `book.title.startsWith($prefix)`;
+
+    return query.explain({prefix: "W"}).then(explanation => {
+      expect(explanation.plan.relation.relation.scan.index).to.equal("byTitle");
+      return query({prefix: "W"});
+    }).then(result => {
+      expect(result).to.deep.equal(["Water Buffaloes"]);
+    });
+  })
+
+  it("looks up array membership in multiEntry index", function() {
+    sandbox.spy(IDBIndex.prototype, "openCursor");
+    let query = select `magazine.title`
+                 .from ({magazine})
+                .where `magazine.tags.includes($tag)`;
+
+    return query({tag: "geology"}).then(result => {
+      expect(result).to.deep.equal(["Rock Monthly", "Dino Weekly"]);
+      sinon.assert.calledOnce(IDBIndex.prototype.openCursor);
+      expect(IDBIndex.prototype.openCursor.thisValues[0].name).to.equal("byTag");
+    });
+  })
+
+  it("produces each record once when several multiEntry ranges find it", function() {
+    let query = select `magazine.title`
+                 .from ({magazine})
+                .where `magazine.tags.includes("geology") || magazine.tags.includes("music") ||
+                        magazine.tags.includes("homes")`;
+
+    return query().then(result => {
+      expect(result).to.deep.equal(["Rock Monthly", "Dino Weekly", "Cave Living"]);
+    });
+  })
+
+  it("scans index with key cursor when query reads only key fields", function() {
+    sandbox.spy(IDBIndex.prototype, "openKeyCursor");
+    sandbox.spy(IDBIndex.prototype, "openCursor");
+    let query = select `{isbn: book.isbn}`
+                 .from ({book})
+                .where `book.author == $author`;
+
+    expect(query.finalize().tree().relation.relation.fields).to.deep.equal(["isbn", "author"]);
+    return query({author: "Fred"}).then(result => {
+      expect(result).to.deep.equal([
+        {isbn: 123456},
+        {isbn: 234567},
+      ]);
+      sinon.assert.calledOnce(IDBIndex.prototype.openKeyCursor);
+      sinon.assert.notCalled(IDBIndex.prototype.openCursor);
+    });
+  })
+
+  it("reorders join so object store is probed by index rather than hash joined with array", function() {
+    let author = [
+      {name: "Fred", born: 1960},
+      {name: "Barney", born: 1962},
+    ];
+
+    let query = select `{title: book.title, born: author.born}`
+                 .from ({book})
+                 .join ({author})
+                   .on `author.name == book.author`;
+
+    let join = query.finalize().tree().relation.relation;
+    expect(join.lRelation).to.equal("author");
+    expect(join.rRelation.name).to.equal("book");
+    expect(join.algorithm).to.be.undefined;
+    return query.then(result => {
+      expect(result).to.have.deep.members([
+        {title: "Quarry Memories", born: 1960},
+        {title: "Water Buffaloes", born: 1960},
+        {title: "Bedrock Nights", born: 1962},
+      ]);
+    });
+  })
+
+  it("uses index rather than hash join if one matches join key", function() {
+    let author = [
+      {name: "Fred"},
+    ];
+
+    let query = select `{title: book.title}`
+                 .from ({author})
+                 .join ({book})
+                   .on `book.author == author.name`;
+
+    expect(query.finalize().tree().relation.relation.algorithm).to.be.undefined;
+    return query.then(result => {
+      expect(result).to.deep.equal([
+        {title: "Quarry Memories"},
+        {title: "Water Buffaloes"},
+      ]);
+    });
+  })
+
+  it("reads object store schemas once while planning", function() {
+    sandbox.spy(db, "transaction");
+    let author = [
+      {name: "Fred"},
+    ];
+
+    const plan = () => {
+      select `{title: book.title, other: other.title}`
+       .from ({author})
+       .join ({book})
+         .on `book.author == author.name`
+       .join ({other: book})
+         .on `other.title == book.title`
+      .finalize();
+    }
+
+    plan();
+    plan();
+    sinon.assert.calledOnce(db.transaction);
+  })
+
   it("can query using part of composite primary key", function() {
     let query = select `inventoryItem`
                  .from ({inventoryItem})
@@ -543,6 +1149,180 @@ describe("IndexedDB integration", function() {
     });
   })
 
+  it("can query using product of ranges of composite key", function() {
+    let query = select `{storeId: inventoryItem.storeId, isbn: inventoryItem.isbn}`
+                 .from ({inventoryItem})
+                .where `$storeIds.includes(inventoryItem.storeId) && inventoryItem.isbn > 200000`
+
+    return query.explain({storeIds: [2, 1]}).then(explanation => {
+      expect(explanation.plan.relation.relation.scan.ranges).to.deep.equal([
+        {lower: [1, 200000], upper: [nextUp(1)], lowerOpen: true, upperOpen: true},
+        {lower: [2, 200000], upper: [nextUp(2)], lowerOpen: true, upperOpen: true},
+      ]);
+      return query({storeIds: [2, 1]});
+    }).then(result => {
+      expect(result).to.deep.equal([
+        {storeId: 1, isbn: 234567},
+        {storeId: 1, isbn: 345678},
+        {storeId: 2, isbn: 234567},
+      ]);
+    });
+  })
+
+  it("filters key paths of composite key following first range that is not an equality", function() {
+    let query = select `inventoryItem.quantity`
+                 .from ({inventoryItem})
+                .where `inventoryItem.storeId >= 1 && inventoryItem.storeId <= 2 && inventoryItem.isbn == 234567`
+
+    return query.then(result => {
+      expect(result).to.deep.equal([4, 2]);
+    });
+  })
+
+  it("can page through object store with limit and offset", function() {
+    let query = select `{title: book.title}`
+                 .from ({book})
+                .limit `$count`
+               .offset `$start`;
+
+    return query({count: 2, start: 1}).then(result => {
+      expect(result).to.deep.equal([
+        {title: "Water Buffaloes"},
+        {title: "Bedrock Nights"},
+      ]);
+    });
+  })
+
+  it("explains index and key ranges scanned", function() {
+    let query = select `{title: book.title}`
+                 .from ({book})
+                .where `book.author == $author`;
+
+    return query.explain({author: "Fred"}).then(explanation => {
+      expect(explanation.plan.relation.relation.scan).to.deep.equal({
+        objectStore: "book",
+        index: "byAuthor",
+        keyPath: "author",
+        ranges: [{lower: "Fred", upper: "Fred", lowerOpen: false, upperOpen: false}],
+        estimatedRows: 2,
+      });
+      expect(explanation.estimatedRows).to.equal(2);
+    });
+  })
+
+  it("rejects explanation if object store cannot be read", function() {
+    let query = select `{title: book.title}`
+                 .from ({book})
+                .where `book.author == $author`;
+
+    db.close();
+    let explanation;
+    expect(function() {
+      explanation = query.explain({author: "Fred"});
+    }).to.not.throw();
+
+    return explanation.then(() => {
+      throw new Error("Expected rejection");
+    }, error => {
+      expect(error.name).to.equal("InvalidStateError");
+    });
+  })
+
+  it("explains index walked in order", function() {
+    let query = select `{title: book.title}`
+                 .from ({book})
+              .orderBy `book.title`.desc;
+
+    return query.explain().then(explanation => {
+      expect(explanation.sortNeeded).to.be.false;
+      expect(explanation.plan.relation.relation.scan).to.deep.equal({
+        objectStore: "book",
+        index: "byTitle",
+        keyPath: "title",
+        direction: "prev",
+        estimatedRows: 3,
+      });
+    });
+  })
+
+  it("explains key ranges that depend on other relations", function() {
+    let query = select `{title: book.title}`
+                 .from ({inventoryItem})
+                 .join ({book})
+                   .on `book.isbn == inventoryItem.isbn`;
+
+    return query.explain().then(explanation => {
+      let join = explanation.plan.relation.relation;
+      expect(join.algorithm).to.be.undefined;
+      expect(join.rRelation.scan).to.deep.equal({
+        objectStore: "book",
+        keyPath: "isbn",
+        estimatedRows: 1,
+      });
+      expect(join.estimatedRows).to.equal(5);
+      expect(join.estimatedCost).to.equal(10);
+    });
+  })
+
+  it("counts cursor steps when analyzing query", function() {
+    book.batchSize = 0;
+    let query = select `{title: book.title}`
+                 .from ({book})
+                .limit `$count`;
+
+    return query.explainAnalyze({count: 2}).then(analysis => {
+      expect(analysis.rows).to.deep.equal([
+        {title: "Quarry Memories"},
+        {title: "Water Buffaloes"},
+      ]);
+
+      let scan = analysis.plan.relation.relation;
+      expect(scan.actualRows).to.equal(2);
+      expect(scan.cursorSteps).to.equal(2);
+      return query.explainAnalyze({count: 5});
+    }).then(analysis => {
+      // The final step finds no more records.
+      expect(analysis.plan.relation.relation.cursorSteps).to.equal(4);
+    });
+  })
+
+  it("traces index selection and cursors", function() {
+    let tracer = sinon.stub();
+    setTracer(tracer);
+
+    let query = select `{title: book.title}`
+                 .from ({book})
+                .where `book.author == 'Fred'`;
+
+    return query.then(() => {
+      setTracer(null);
+      sinon.assert.calledWith(tracer, {
+        type: "transaction",
+        database: db.name,
+        objectStoreNames: ["book"],
+        mode: "readonly",
+      });
+      sinon.assert.calledWith(tracer, {
+        type: "index",
+        database: db.name,
+        objectStore: "book",
+        index: "byAuthor",
+        keyPaths: 1,
+      });
+      sinon.assert.calledWith(tracer, sinon.match({
+        type: "cursor",
+        database: db.name,
+        objectStore: "book",
+        index: "byAuthor",
+        direction: "next",
+      }));
+      expect(tracer.args.find(args => args[0].type === "cursor")[0].range.lower).to.equal("Fred");
+    }, error => {
+      setTracer(null);
+      throw error;
+    });
+  })
+
   it("can insert into object store", function() {
     let query = insert `value`
                  .into (book)
@@ -564,6 +1344,100 @@ describe("IndexedDB integration", function() {
     });
   })
 
+  it("re-executes live query when object store is written", function() {
+    let query = select `book.title`
+                 .from ({book})
+                .where `book.author == "Fred"`;
+
+    let results = new Promise((resolve, reject) => {
+      query.live().take(2).toArray().subscribe(resolve, reject);
+    });
+
+    insert `value`
+     .into (new PersistentObjectStore(db, "book"))
+     .from ({value: [
+       { title: "Rock Music", author: "Fred", isbn: 456789 },
+     ]}) ();
+
+    return results.then(results => {
+      expect(results).to.deep.equal([
+        ["Quarry Memories", "Water Buffaloes"],
+        ["Quarry Memories", "Water Buffaloes", "Rock Music"],
+      ]);
+    });
+  })
+
+  describe("change channel", function() {
+    let channel, otherTab;
+
+    beforeEach(function() {
+      channel = new LocalChannel();
+      otherTab = new LocalChannel();
+      setChangeChannel(channel);
+    })
+
+    afterEach(function() {
+      setChangeChannel(null);
+      channel.close();
+      otherTab.close();
+    })
+
+    it("posts database, object store names and keys after write transaction completes", function(done) {
+      otherTab.onmessage = (event) => {
+        expect(event.data).to.deep.equal({
+          database: db.name,
+          objectStoreNames: ["store"],
+          keys: { store: [4, 1] },
+        });
+        done();
+      };
+
+      let idbTransaction = db.transaction(["store"], "readwrite");
+      insert `{city: value.city}`
+       .into (store)
+       .from ({value: [{city: "Bedrock"}]}) ({}, idbTransaction);
+      deleteFrom (store)
+         .where `this[PrimaryKey] == 1` ({}, idbTransaction);
+    })
+
+    it("posts keys of tuples written to object store that does not generate keys", function(done) {
+      sandbox.spy(PersistentObjectStore.prototype, "put");
+      otherTab.onmessage = (event) => {
+        expect(event.data.keys).to.deep.equal({ book: [456789] });
+        sinon.assert.calledWith(PersistentObjectStore.prototype.put, sinon.match.any, sinon.match.any, false, false);
+        done();
+      };
+
+      insert `value`
+       .into (book)
+       .from ({value: [{title: "Rock Music", author: "Barney", isbn: 456789}]}) ();
+    })
+
+    it("re-executes live query when other tab writes object store", function() {
+      let query = select `book.title`
+                   .from ({book})
+                  .where `book.author == "Barney"`;
+
+      let results = new Promise((resolve, reject) => {
+        query.live().take(2).toArray().subscribe(resolve, reject);
+      });
+
+      // Simulates a write made in another tab.
+      let idbTransaction = db.transaction(["book"], "readwrite");
+      idbTransaction.objectStore("book").put({ title: "Rock Music", author: "Barney", isbn: 456789 });
+      idbTransaction.oncomplete = () => {
+        otherTab.postMessage({ database: db.name, objectStoreNames: ["book"], keys: { book: [456789] } });
+      };
+
+      return results.then(results => {
+        expect(results).to.deep.equal([
+          ["Bedrock Nights"],
+          ["Bedrock Nights", "Rock Music"],
+        ]);
+      });
+    })
+  })
+
   it("can update tuples in object store", function() {
     let query = update `{ title: this.title.toLowerCase() }`
                  .into (book)
@@ -0,0 +1,344 @@
+"use strict";
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+
+const {
+  JSONObjectStore,
+  LocalChannel,
+  Transaction,
+  changes,
+  getChangeChannel,
+  isAffectedBy,
+  recordWrite,
+  setChangeChannel,
+} = require("..");
+const { insert, select, update } = require("../querybuilder");
+
+let sandbox = sinon.sandbox.create();
+
+describe("Live queries", function() {
+  let thing, type;
+  let thingStore, typeStore;
+  let changed;
+
+  beforeEach(function() {
+    thing = [
+      {id: 1, name: "Apple", calories: 95, type_id: 1},
+      {id: 2, name: "Banana", calories: 105, type_id: 1},
+    ];
+    thingStore = new JSONObjectStore(thing);
+
+    type = [
+      {id: 1, name: "Vegetable"},
+    ];
+    typeStore = new JSONObjectStore(type);
+
+    changed = sinon.stub();
+    changes.on("change", changed);
+  })
+
+  afterEach(function() {
+    changes.off("change", changed);
+    sandbox.restore();
+  })
+
+  // Resolves with the first count results emitted by the observable.
+  const takeResults = (observable, count) => {
+    return new Promise((resolve, reject) => {
+      observable.take(count).toArray().subscribe(resolve, reject);
+    });
+  }
+
+  describe("recordWrite", function() {
+    it("returns array for keys of written tuples", function() {
+      let transaction = new Transaction();
+      let keys = recordWrite(transaction, thingStore);
+      keys.push(1);
+      expect(recordWrite(transaction, thingStore)).to.equal(keys);
+
+      return transaction.then(() => {
+        sinon.assert.calledWith(changed, { objectStores: [thingStore], keys: [[1]] });
+      });
+    })
+
+    it("publishes change when transaction completes", function() {
+      let transaction = new Transaction();
+      recordWrite(transaction, thingStore);
+      recordWrite(transaction, typeStore);
+      recordWrite(transaction, thingStore);
+      sinon.assert.notCalled(changed);
+
+      return transaction.then(() => {
+        sinon.assert.calledOnce(changed);
+        sinon.assert.calledWith(changed, { objectStores: [thingStore, typeStore], keys: [[], []] });
+      });
+    })
+
+    it("does not publish change when transaction aborts", function() {
+      let transaction = new Transaction();
+      recordWrite(transaction, thingStore);
+      transaction.abort(new Error("Abort"));
+
+      return transaction.then(() => {
+        expect.fail();
+      }, () => {
+        sinon.assert.notCalled(changed);
+      });
+    })
+  })
+
+  describe("LocalChannel", function() {
+    let a, b, c;
+
+    beforeEach(function() {
+      a = new LocalChannel("test");
+      b = new LocalChannel("test");
+      c = new LocalChannel("other");
+    })
+
+    afterEach(function() {
+      a.close();
+      b.close();
+      c.close();
+    })
+
+    it("delivers messages asynchronously to other channels with same name", function(done) {
+      a.onmessage = sinon.stub();
+      c.onmessage = sinon.stub();
+      b.onmessage = (event) => {
+        expect(event.data).to.deep.equal({ x: 1 });
+        sinon.assert.notCalled(a.onmessage);
+        sinon.assert.notCalled(c.onmessage);
+        done();
+      };
+
+      a.postMessage({ x: 1 });
+    })
+
+    it("does not deliver messages to closed channels", function(done) {
+      b.onmessage = sinon.stub();
+      b.close();
+      a.postMessage({ x: 1 });
+      setImmediate(() => {
+        sinon.assert.notCalled(b.onmessage);
+        done();
+      });
+    })
+  })
+
+  describe("change channel", function() {
+    let channel, otherTab;
+
+    beforeEach(function() {
+      channel = new LocalChannel();
+      otherTab = new LocalChannel();
+      setChangeChannel(channel);
+    })
+
+    afterEach(function() {
+      setChangeChannel(null);
+      channel.close();
+      otherTab.close();
+    })
+
+    it("can be replaced", function() {
+      expect(getChangeChannel()).to.equal(channel);
+      setChangeChannel(null);
+      expect(getChangeChannel()).to.be.null;
+      expect(channel.onmessage).to.be.null;
+    })
+
+    it("publishes changes received from other contexts", function(done) {
+      let record = { database: "db", objectStoreNames: ["book"], keys: { book: [1] } };
+      changed.callsFake(change => {
+        expect(change).to.deep.equal(record);
+        done();
+      });
+      otherTab.postMessage(record);
+    })
+
+    it("does not post changes to object stores that other contexts cannot identify", function() {
+      sandbox.spy(channel, "postMessage");
+      let transaction = new Transaction();
+      recordWrite(transaction, thingStore);
+
+      return transaction.then(() => {
+        sinon.assert.notCalled(channel.postMessage);
+      });
+    })
+
+    it("posts change record for each database", function() {
+      const named = (database, objectStore) => {
+        let objectStore_ = new JSONObjectStore([]);
+        objectStore_.qualifiedName = () => ({ database, objectStore });
+        return objectStore_;
+      }
+
+      sandbox.spy(channel, "postMessage");
+      let transaction = new Transaction();
+      recordWrite(transaction, named("db1", "book")).push(1, 2);
+      recordWrite(transaction, named("db1", "author")).push("Fred");
+      recordWrite(transaction, named("db2", "book")).push(3);
+      recordWrite(transaction, thingStore);
+
+      return transaction.then(() => {
+        sinon.assert.calledTwice(channel.postMessage);
+        sinon.assert.calledWith(channel.postMessage, {
+          database: "db1",
+          objectStoreNames: ["book", "author"],
+          keys: { book: [1, 2], author: ["Fred"] },
+        });
+        sinon.assert.calledWith(channel.postMessage, {
+          database: "db2",
+          objectStoreNames: ["book"],
+          keys: { book: [3] },
+        });
+      });
+    })
+  })
+
+  describe("default change channel", function() {
+    let BroadcastChannel, otherTab;
+
+    beforeEach(function() {
+      BroadcastChannel = global.BroadcastChannel;
+      global.BroadcastChannel = LocalChannel;
+      setChangeChannel(undefined);
+      otherTab = new LocalChannel();
+    })
+
+    afterEach(function() {
+      let channel = getChangeChannel();
+      setChangeChannel(null);
+      if (channel)
+        channel.close();
+      otherTab.close();
+      global.BroadcastChannel = BroadcastChannel;
+    })
+
+    it("is opened by live query to hear of writes in other contexts", function() {
+      let bookStore = new JSONObjectStore([]);
+      bookStore.qualifiedName = () => ({ database: "db", objectStore: "book" });
+
+      let query = select `book.title`
+                   .from ({book: bookStore});
+
+      let results = takeResults(query.live(), 2);
+      otherTab.postMessage({ database: "db", objectStoreNames: ["book"], keys: { book: [1] } });
+
+      return results.then(results => {
+        expect(results).to.deep.equal([[], []]);
+      });
+    })
+  })
+
+  it("change from other context affects queries reading object store with same qualified name", function() {
+    let bookStore = new JSONObjectStore([]);
+    bookStore.qualifiedName = () => ({ database: "db", objectStore: "book" });
+    let change = { database: "db", objectStoreNames: ["author", "book"], keys: { author: [], book: [] } };
+
+    expect(isAffectedBy([thingStore, bookStore], change)).to.be.true;
+    expect(isAffectedBy([thingStore], change)).to.be.false;
+    expect(isAffectedBy([bookStore], Object.assign({}, change, { database: "other" }))).to.be.false;
+  })
+
+  it("change affects queries reading same object store", function() {
+    let otherThingStore = new JSONObjectStore(thing);
+    expect(isAffectedBy([typeStore, otherThingStore], { objectStores: [thingStore] })).to.be.true;
+    expect(isAffectedBy([typeStore], { objectStores: [thingStore] })).to.be.false;
+  })
+
+  it("write query publishes change", function() {
+    let transaction = new Transaction();
+    update `{name: this.name.toUpperCase()}`
+     .into (thingStore) ({}, transaction);
+
+    return transaction.then(() => {
+      sinon.assert.calledWith(changed, { objectStores: [thingStore], keys: [["0", "1"]] });
+    });
+  })
+
+  it("write query that modifies no tuples publishes nothing", function() {
+    let transaction = new Transaction();
+    update `{name: this.name.toUpperCase()}`
+     .into (thingStore)
+    .where `this.id == 7` ({}, transaction);
+
+    return transaction.then(() => {
+      sinon.assert.notCalled(changed);
+    });
+  })
+
+  it("re-executes live query when object store it reads is written", function() {
+    let query = select `thing.name`
+                 .from ({thing});
+
+    let results = takeResults(query.live(), 2);
+
+    insert `{id: value.id, name: value.name}`
+     .into (thingStore)
+     .from ({value: [{id: 3, name: "Cake"}]}) ();
+
+    return results.then(results => {
+      expect(results).to.deep.equal([
+        ["Apple", "Banana"],
+        ["Apple", "Banana", "Cake"],
+      ]);
+    });
+  })
+
+  it("live query passes parameters to each execution", function() {
+    let query = select `thing.name`
+                 .from ({thing})
+                .where `thing.calories < $max`;
+
+    let results = takeResults(query.live({max: 100}), 2);
+
+    update `{calories: 50}`
+     .into (thingStore)
+    .where `this.id == 2` ();
+
+    return results.then(results => {
+      expect(results).to.deep.equal([
+        ["Apple"],
+        ["Apple", "Banana"],
+      ]);
+    });
+  })
+
+  it("does not re-execute live query when other object store is written", function() {
+    let query = select `thing.name`
+                 .from ({thing});
+
+    let next = sinon.stub();
+    let subscription = query.live().subscribe(next);
+
+    let transaction = new Transaction();
+    insert `{id: value.id, name: value.name}`
+     .into (typeStore)
+     .from ({value: [{id: 2, name: "Mineral"}]}) ({}, transaction);
+
+    return transaction.then(() => {
+      sinon.assert.calledOnce(next);
+      subscription.unsubscribe();
+    });
+  })
+
+  it("stops listening for changes when unsubscribed", function() {
+    let query = select `thing.name`
+                 .from ({thing});
+
+    let listenerCount = changes.listeners("change").length;
+    query.live().subscribe().unsubscribe();
+    expect(changes.listeners("change").length).to.equal(listenerCount);
+  })
+
+  it("throws for write queries", function() {
+    expect(function() {
+      update `{name: this.name}`
+       .into (thingStore)
+       .live();
+    }).to.throw(/select/);
+  })
+})
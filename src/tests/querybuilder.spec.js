@@ -6,7 +6,7 @@ const { expect } = require("chai");
 const sinon = require("sinon");
 
 const { JSONObjectStore, NamedRelation, Transaction } = require("..");
-const { deleteFrom, insert, select, update, upsert } = require("../querybuilder");
+const { deleteFrom, insert, select, update, upsert, with: with_, withRecursive } = require("../querybuilder");
 
 let sandbox = sinon.sandbox.create();
 
@@ -170,6 +170,59 @@ describe("fluentquery query builder", function() {
     });
   })
 
+  it("builds intersect and except", function() {
+    let query = select `{id: thing.type_id}`
+                 .from ({thing})
+                .intersect (
+                select `{id: type.id}`
+                 .from ({type})
+                )
+                .exceptAll (
+                select `{id: type.id}`
+                 .from ({type})
+                )
+
+    expect(query.tree()).to.deep.equal({
+      class: "SetOperation",
+      type: "exceptAll",
+      lRelation: {
+        class: "SetOperation",
+        type: "intersect",
+        lRelation: {
+          class: "Select",
+          selector: "{ id: thing.type_id }",
+          relation: "thing",
+        },
+        rRelation: {
+          class: "Select",
+          selector: "{ id: type.id }",
+          relation: "type",
+        },
+      },
+      rRelation: {
+        class: "Select",
+        selector: "{ id: type.id }",
+        relation: "type",
+      },
+    });
+  })
+
+  it("executes except", function() {
+    let query = select `{id: type.id}`
+                 .from ({type})
+                .except (
+                select `{id: thing.type_id}`
+                 .from ({thing})
+                .where `thing.calories > 200`
+                )
+
+    return query.then(result => {
+      expect(result).to.deep.equal([
+        { id: 1 },
+      ]);
+    });
+  })
+
   it("builds explicit inner join", function() {
     let query = select `{name: thing.name}`
                  .from ({thing})
@@ -372,6 +425,58 @@ describe("fluentquery query builder", function() {
     });
   })
 
+  it("builds group by with having", function() {
+    let query = select `{ type_id: thing.type_id }`
+                 .from ({thing})
+              .groupBy `{type_id: thing.type_id}`
+               .having `count(thing.id) > 1`;
+
+    expect(query.tree()).to.deep.equal({
+      class: "GroupBy",
+      selector: "{ type_id: thing.type_id }",
+      grouper: "{ type_id: thing.type_id }",
+      having: ["$$g[0] = count($$g[0], thing.id), $$cmp($$g[0].value, 1) > 0"],
+      relation: "thing",
+    });
+  })
+
+  it("builds group by with having sharing aggregates of selector", function() {
+    let query = select `{ type_id: thing.type_id, totalCalories: sum(thing.calories) }`
+                 .from ({thing})
+              .groupBy `{type_id: thing.type_id}`
+               .having `sum(thing.calories) < 300 && count(thing.id) > 1`;
+
+    expect(query.tree()).to.deep.equal({
+      class: "GroupBy",
+      selector: "$$g[0] = sum($$g[0], thing.calories), { type_id: thing.type_id, totalCalories: $$g[0].value }",
+      grouper: "{ type_id: thing.type_id }",
+      having: ["$$g[1] = count($$g[1], thing.id), $$cmp($$g[0].value, 300) < 0 && $$cmp($$g[1].value, 1) > 0"],
+      relation: "thing",
+    });
+  })
+
+  it("throws if having does not follow group by", function() {
+    expect(function() {
+      select `{ type_id: thing.type_id }`
+       .from ({thing})
+     .having `count(thing.id) > 1`;
+    }).to.throw(/groupBy/);
+  })
+
+  it("executes group by with having", function() {
+    let query = select `{ type_id: thing.type_id, totalCalories: sum(thing.calories) }`
+                 .from ({thing})
+              .groupBy `{type_id: thing.type_id}`
+               .having `count(thing.id) > 1`
+               .having `sum(thing.calories) < $max`;
+
+    return query({max: 300}).then(result => {
+      expect(result).to.deep.equal([
+        { type_id: 1, totalCalories: 200 },
+      ]);
+    });
+  })
+
   it("builds ascending order by", function() {
     let query = select `{name: thing.name}`
                  .from ({thing})
@@ -480,6 +585,146 @@ describe("fluentquery query builder", function() {
     });
   })
 
+  it("builds semi join testing exists subquery", function() {
+    let query = select `{name: thing.name}`
+                 .from ({thing})
+                .where `thing.name !== 'Cake' && exists(${select `type` .from ({type}) .where `type.id === thing.type_id`})`;
+
+    expect(query.tree()).to.deep.equal({
+      class: "Select",
+      selector: "{ name: thing.name }",
+      relation: {
+        class: "Where",
+        relation: {
+          class: "Join",
+          type: "semi",
+          lRelation: "thing",
+          rRelation: {
+            class: "Select",
+            selector: "type",
+            relation: {
+              class: "Where",
+              relation: "type",
+              termGroups: [{
+                dependencies: ["thing", "type"],
+                expression: "type.id === thing.type_id",
+              }],
+            },
+          },
+        },
+        termGroups: [{
+          dependencies: ["thing"],
+          expression: "thing.name !== 'Cake'",
+        }],
+      },
+    });
+  })
+
+  it("builds anti join testing notExists subquery", function() {
+    let query = select `{name: thing.name}`
+                 .from ({thing})
+                .where `notExists(${select `type` .from ({type}) .where `type.id === thing.type_id`})`;
+
+    let where = query.relation().relation;
+    expect(where.relation.type).to.equal("anti");
+    expect(where.termGroups.terms).to.deep.equal([]);
+  })
+
+  it("builds semi join testing membership of subquery", function() {
+    let query = select `{name: thing.name}`
+                 .from ({thing})
+                .where `thing.type_id in ${select `type.id` .from ({type}) .where `type.name == 'Mineral'`}`;
+
+    let where = query.relation().relation;
+    expect(where.termGroups.terms).to.deep.equal([]);
+    expect(where.relation.tree()).to.deep.equal({
+      class: "Join",
+      type: "semi",
+      lRelation: "thing",
+      rRelation: {
+        class: "NamedRelation",
+        name: "$$in0",
+        relation: {
+          class: "Select",
+          selector: "type.id",
+          relation: {
+            class: "Where",
+            relation: "type",
+            termGroups: [{
+              dependencies: ["type"],
+              expression: "$$cmp(type.name, 'Mineral') === 0",
+              keys: {
+                type: {
+                  name: {
+                    class: "RangeExpression",
+                    lower: "'Mineral'",
+                    upper: "'Mineral'",
+                  },
+                },
+              },
+            }],
+          },
+        },
+      },
+      termGroups: [{
+        dependencies: ["$$in0", "thing"],
+        expression: "$$cmp(thing.type_id, $$in0) === 0",
+        keys: {
+          thing: {
+            type_id: {
+              class: "RangeExpression",
+              lower: "$$in0",
+              upper: "$$in0",
+            },
+          },
+        },
+      }],
+    });
+  })
+
+  it("throws if exists is not passed a query", function() {
+    expect(function() {
+      select `{name: thing.name}`
+       .from ({thing})
+      .where `exists(${[]})`;
+    }).to.throw(/query/);
+  })
+
+  it("builds scalar subquery in select expression", function() {
+    let query = select `{name: thing.name, type: scalar(${select `type.name` .from ({type}) .where `type.id === thing.type_id`})}`
+                 .from ({thing});
+
+    expect(query.tree()).to.deep.equal({
+      class: "Select",
+      selector: "{ name: thing.name, type: $$scalar0 }",
+      relation: {
+        class: "ScalarSubquery",
+        name: "$$scalar0",
+        relation: "thing",
+        subquery: {
+          class: "Select",
+          selector: "type.name",
+          relation: {
+            class: "Where",
+            relation: "type",
+            termGroups: [{
+              dependencies: ["thing", "type"],
+              expression: "type.id === thing.type_id",
+            }],
+          },
+        },
+      },
+    });
+  })
+
+  it("throws if scalar is not passed a query", function() {
+    expect(function() {
+      select `{name: thing.name}`
+       .from ({thing})
+      .where `scalar(${[]}) > 1`;
+    }).to.throw(/query/);
+  })
+
   it("builds insert", function() {
     let query = insert `value`
                  .into (thingStore)
@@ -589,6 +834,138 @@ describe("fluentquery query builder", function() {
     });
   })
 
+  it("builds references to common table expressions", function() {
+    let query = with_({
+                  vegetable: select `type` .from ({type}) .where `type.name == 'Vegetable'`,
+                })
+                .select `{name: thing.name}`
+                  .from ({thing, type: "vegetable"});
+
+    expect(query.tree()).to.deep.equal({
+      class: "Select",
+      selector: "{ name: thing.name }",
+      relation: {
+        class: "Join",
+        lRelation: "thing",
+        rRelation: {
+          class: "NamedRelation",
+          name: "type",
+          relation: {
+            class: "CommonTableReference",
+            name: "vegetable",
+          },
+        },
+      },
+    });
+  })
+
+  it("throws if common table expression is not a query", function() {
+    expect(function() {
+      with_({ vegetable: type })
+      .select `{name: thing.name}`
+        .from ({thing});
+    }).to.throw(/vegetable/);
+  })
+
+  it("throws if common table expression references one not defined before it", function() {
+    expect(function() {
+      with_({
+        vegetable: select `type` .from ({type: "types"}),
+        types: select `type` .from ({type}),
+      })
+      .select `{name: thing.name}`
+        .from ({thing});
+    }).to.throw(/before/);
+  })
+
+  it("throws if recursive common table expression is not seed and step queries", function() {
+    expect(function() {
+      withRecursive({ vegetable: [select `type` .from ({type})] })
+      .select `{name: thing.name}`
+        .from ({thing});
+    }).to.throw(/seed and step/);
+  })
+
+  it("throws if common table expression is not recursive but references itself", function() {
+    expect(function() {
+      with_({ types: select `type` .from ({type: "types"}) })
+      .select `{name: thing.name}`
+        .from ({thing});
+    }).to.throw(/before/);
+  })
+
+  it("errors when finalizing reference to unknown common table expression", function() {
+    let query = select `{name: thing.name}`
+                 .from ({thing: "things"});
+
+    expect(function() {
+      query.finalize();
+    }).to.throw(/things/);
+  })
+
+  it("builds limit and offset", function() {
+    let query = select `{name: thing.name}`
+                 .from ({thing})
+                .limit (10)
+               .offset `$start`;
+
+    expect(query.tree()).to.deep.equal({
+      class: "Limit",
+      count: 10,
+      offset: "this.params.start",
+      relation: {
+        class: "Select",
+        selector: "{ name: thing.name }",
+        relation: "thing",
+      },
+    });
+  })
+
+  it("builds distinct", function() {
+    let query = select `{type_id: thing.type_id}`
+                 .from ({thing})
+                .distinct
+                .limit (10);
+
+    expect(query.tree()).to.deep.equal({
+      class: "Limit",
+      count: 10,
+      relation: {
+        class: "Distinct",
+        relation: {
+          class: "Select",
+          selector: "{ type_id: thing.type_id }",
+          relation: "thing",
+        },
+      },
+    });
+  })
+
+  it("builds distinctOn", function() {
+    let query = select `{name: thing.name}`
+                 .from ({thing})
+              .distinctOn `thing.type_id`
+                 .orderBy `thing.calories`;
+
+    expect(query.tree()).to.deep.equal({
+      class: "Select",
+      selector: "{ name: thing.name }",
+      relation: {
+        class: "Distinct",
+        expression: "thing.type_id",
+        relation: {
+          class: "OrderBy",
+          ordering: [{
+            expression: "thing.calories",
+            order: 1,
+            nulls: 1,
+          }],
+          relation: "thing",
+        },
+      },
+    });
+  })
+
   it("throws on attempt to modify optimized query", function() {
     let query = select `{name: thing.name}`
                  .from ({thing});
@@ -661,6 +1038,250 @@ describe("fluentquery query builder", function() {
     });
   })
   
+  it("runs common table expressions only once per execution", function() {
+    sandbox.spy(typeStore, "execute");
+
+    let query = with_({
+                  vegetable: select `type` .from ({type: typeStore}) .where `type.name == 'Vegetable'`,
+                })
+                .select `{id1: type1.id, id2: type2.id}`
+                  .from ({type1: "vegetable"})
+                  .join ({type2: "vegetable"})
+                    .on `type1.id === type2.id`
+                 .where `exists(${select `thing` .from ({thing}) .join ({type: "vegetable"}) .on `thing.type_id === type.id`})`;
+
+    return query.then(result => {
+      expect(result).to.deep.equal([
+        { id1: 1, id2: 1 },
+      ]);
+
+      sinon.assert.calledOnce(typeStore.execute);
+    });
+  })
+
+  it("runs common table expressions containing joins referenced more than once", function() {
+    sandbox.spy(typeStore, "execute");
+
+    let query = with_({
+                  typed: select `{id: thing.id, name: thing.name, type: type.name}`
+                          .from ({thing})
+                          .join ({type: typeStore})
+                            .on `thing.type_id == type.id`,
+                })
+                .select `{a: a.name, b: b.type}`
+                  .from ({a: "typed"})
+                  .join ({b: "typed"})
+                    .on `a.id == b.id`
+                 .where `a.type == 'Vegetable'`;
+
+    return query.then(result => {
+      expect(result).to.deep.equal([
+        { a: "Apple", b: "Vegetable" },
+        { a: "Banana", b: "Vegetable" },
+      ]);
+
+      sinon.assert.calledOnce(typeStore.execute);
+    });
+  })
+
+  it("runs common table expressions referencing those defined before them", function() {
+    let query = with_({
+                  light: select `thing` .from ({thing}) .where `thing.calories < 200`,
+                  lightVegetable: select `light` .from ({light: "light"}) .where `light.type_id == 1 && light.id > 1`,
+                })
+                .select `thing.name`
+                  .from ({thing: "lightVegetable"});
+
+    return query.then(result => {
+      expect(result).to.deep.equal(["Banana"]);
+    });
+  })
+
+  it("runs set operations on queries referencing common table expressions", function() {
+    let query = with_({
+                  vegetable: select `type` .from ({type}) .where `type.name == 'Vegetable'`,
+                })
+                .select `thing.name`
+                  .from ({thing})
+                 .where `thing.calories > 100`
+                 .union (select `thing.name` .from ({thing}) .join ({type: "vegetable"}) .on `thing.type_id == type.id`);
+
+    return query.then(result => {
+      expect(result).to.deep.equal(["Banana", "Cake", "Apple"]);
+    });
+  })
+
+  it("runs recursive common table expressions", function() {
+    let category = [
+      {id: 1, name: "Food"},
+      {id: 2, name: "Fruit", parent_id: 1},
+      {id: 3, name: "Apples", parent_id: 2},
+      {id: 4, name: "Minerals"},
+    ];
+
+    let query = withRecursive({
+                  ancestor: [
+                    select `category` .from ({category}) .where `category.name == $name`,
+                    select `parent`
+                     .from ({parent: category})
+                     .join ({child: "ancestor"})
+                       .on `parent.id == child.parent_id`,
+                  ],
+                })
+                .select `ancestor.name`
+                  .from ({ancestor: "ancestor"});
+
+    return query({name: "Apples"}).then(result => {
+      expect(result).to.deep.equal(["Apples", "Fruit", "Food"]);
+    });
+  })
+
+  it("runs correlated exists subqueries", function() {
+    type.push({id: 1, name: "Fruit"});
+
+    let query = select `thing.name`
+                 .from ({thing})
+                .where `exists(${select `type` .from ({type}) .where `type.id === thing.type_id`})`;
+
+    return query.then(result => {
+      expect(result).to.deep.equal(["Apple", "Banana", "Cake"]);
+    });
+  })
+
+  it("runs correlated notExists subqueries", function() {
+    let query = select `thing.name`
+                 .from ({thing})
+                .where `notExists(${select `type` .from ({type}) .where `type.id === thing.type_id && type.name == 'Mineral'`})`;
+
+    return query.then(result => {
+      expect(result).to.deep.equal(["Apple", "Banana"]);
+    });
+  })
+
+  it("runs subqueries referencing relations of queries enclosing the enclosing query", function() {
+    let other = select `other`
+                 .from ({other: thing})
+                .where `other.type_id === type.id && other.id !== thing.id`;
+
+    let query = select `thing.name`
+                 .from ({thing})
+                .where `exists(${select `type` .from ({type}) .where `type.id === thing.type_id && exists(${other})`})`;
+
+    return query.then(result => {
+      expect(result).to.deep.equal(["Apple", "Banana"]);
+    });
+  })
+
+  it("runs correlated scalar subqueries in select expressions", function() {
+    thing.push({id: 4, name: "Pie", calories: 300, type_id: 3});
+
+    let query = select `{name: thing.name, type: scalar(${select `type.name` .from ({type}) .where `type.id === thing.type_id`})}`
+                 .from ({thing});
+
+    return query.then(result => {
+      expect(result).to.deep.equal([
+        {name: "Apple", type: "Vegetable"},
+        {name: "Banana", type: "Vegetable"},
+        {name: "Cake", type: "Mineral"},
+        {name: "Pie", type: undefined},
+      ]);
+    });
+  })
+
+  it("runs correlated scalar subqueries in where predicates", function() {
+    let query = select `thing.name`
+                 .from ({thing})
+                .where `thing.calories < scalar(${select `max(other.calories)` .from ({other: thing}) .where `other.type_id === thing.type_id` .groupBy `other.type_id`})`;
+
+    return query.then(result => {
+      expect(result).to.deep.equal(["Apple"]);
+    });
+  })
+
+  it("errors when scalar subquery produces more than one tuple", function() {
+    let query = select `{name: thing.name, other: scalar(${select `other.name` .from ({other: thing}) .where `other.type_id === thing.type_id`})}`
+                 .from ({thing});
+
+    return query.then(() => {
+      expect.fail();
+    }, error => {
+      expect(error.message).to.match(/more than one/);
+    });
+  })
+
+  it("runs in subqueries as hash semi joins", function() {
+    let query = select `thing.name`
+                 .from ({thing})
+                .where `thing.type_id in ${select `type.id` .from ({type}) .where `type.name == 'Mineral'`}`;
+
+    expect(query.finalize().tree().relation.relation.algorithm).to.equal("hash");
+    return query.then(result => {
+      expect(result).to.deep.equal(["Cake"]);
+    });
+  })
+
+  it("runs correlated in subqueries for each tuple", function() {
+    let query = select `thing.name`
+                 .from ({thing})
+                .where `thing.type_id in ${select `other.type_id` .from ({other: thing}) .where `other.id !== thing.id`}`;
+
+    expect(query.finalize().tree().relation.relation.algorithm).to.be.undefined;
+    return query.then(result => {
+      expect(result).to.deep.equal(["Apple", "Banana"]);
+    });
+  })
+
+  it("errors when where references unknown relation", function() {
+    let query = select `{name: thing.name}`
+                 .from ({thing})
+                .where `foo.id === thing.id`;
+
+    expect(function() {
+      query.finalize();
+    }).to.throw(/foo/);
+  })
+
+  it("executes query with limit and offset", function() {
+    let query = select `{name: thing.name}`
+                  .from ({thing})
+              .orderBy `thing.name` .desc
+                 .limit `$count`
+                .offset (1);
+
+    return query({count: 1}).then(result => {
+      expect(result).to.deep.equal([
+        { name: "Banana" },
+      ]);
+    });
+  })
+
+  it("executes query with distinct", function() {
+    let query = select `{type_id: thing.type_id}`
+                  .from ({thing})
+                 .distinct;
+
+    return query.then(result => {
+      expect(result).to.deep.equal([
+        { type_id: 1 },
+        { type_id: 2 },
+      ]);
+    });
+  })
+
+  it("executes query with distinctOn, keeping first tuple after ordering", function() {
+    let query = select `{name: thing.name}`
+                  .from ({thing})
+               .distinctOn `thing.type_id`
+                  .orderBy `thing.calories` .desc;
+
+    return query.then(result => {
+      expect(result).to.deep.equal([
+        { name: "Cake" },
+        { name: "Banana" },
+      ]);
+    });
+  })
+
   it("forEach executes join built with query builder", function() {
     let result = [];
 
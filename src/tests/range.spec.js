@@ -5,7 +5,20 @@ require("./indexeddb-fill.js");
 const { expect } = require("chai");
 const sinon = require("sinon");
 
-const { Context, Range, RangeExpression, RangeIntersection, RangeUnion, compositeRange, includes, nextUp } = require("..");
+const {
+  Context,
+  Range,
+  RangeExpression,
+  RangeIntersection,
+  RangeList,
+  RangeUnion,
+  compositeRange,
+  includes,
+  intersectRanges,
+  nextUp,
+  prefixUpper,
+  uniteRanges,
+} = require("..");
 
 
 describe("Range", function() {
@@ -222,6 +235,22 @@ describe("Range", function() {
       let range = new RangeExpression(fn, fn, false, true);
       expect(range.isEquality()).to.be.false;
     })
+
+    it("is constant if expressions have no dependencies", function() {
+      let fn = () => 1;
+      fn.dependencies = {};
+      expect(new RangeExpression(fn, undefined).isConstant()).to.be.true;
+    })
+
+    it("is not constant if expression depends on tuples", function() {
+      let fn = ({t}) => t.a;
+      fn.dependencies = { t: true };
+      expect(new RangeExpression(fn, fn).isConstant()).to.be.false;
+    })
+
+    it("is not constant if dependencies unknown", function() {
+      expect(new RangeExpression(() => 1, undefined).isConstant()).to.be.false;
+    })
   })
 
   describe("RangeIntersection", function() {
@@ -441,6 +470,13 @@ describe("Range", function() {
         new Range(1, 2), new Range(3, 4));
       expect(range.isEquality()).to.be.false;
     })
+
+    it("is constant if left and right are constant", function() {
+      let fn = ({t}) => t.a;
+      fn.dependencies = { t: true };
+      expect(new RangeIntersection(new Range(1, 2), new Range(3, 4)).isConstant()).to.be.true;
+      expect(new RangeIntersection(new Range(1, 2), new RangeExpression(fn, fn)).isConstant()).to.be.false;
+    })
   })
 
 
@@ -816,6 +852,111 @@ describe("Range", function() {
     });
   })
 
+  describe("RangeList", function() {
+    const valuesFn = (values) => {
+      let fn = function({}) { return this.params.values; };
+      fn.dependencies = {};
+      context.params = { values };
+      return fn;
+    }
+
+    it("executes distinct equalities in order", function() {
+      let range = new RangeList(valuesFn([3, 1, 3, 2]));
+      expect(range.prepare(context).map(r => r.tree())).to.deep.equal([
+        { class: "Range", lower: 1, upper: 1 },
+        { class: "Range", lower: 2, upper: 2 },
+        { class: "Range", lower: 3, upper: 3 },
+      ]);
+    })
+
+    it("excludes values that are not valid keys", function() {
+      let range = new RangeList(valuesFn([undefined, 1, null, {}, true]));
+      expect(range.prepare(context).map(r => r.tree())).to.deep.equal([
+        { class: "Range", lower: 1, upper: 1 },
+      ]);
+    })
+
+    it("executes unbounded range if values are not an array", function() {
+      let range = new RangeList(valuesFn("Fred Flintstone"));
+      expect(range.prepare(context).map(r => r.tree())).to.deep.equal([
+        { class: "Range" },
+      ]);
+    })
+
+    it("is not equality", function() {
+      expect(new RangeList(valuesFn([1])).isEquality()).to.be.false;
+    })
+
+    it("is discrete", function() {
+      expect(new RangeList(valuesFn([1])).isDiscrete()).to.be.true;
+    })
+
+    it("is constant if expression has no dependencies", function() {
+      expect(new RangeList(valuesFn([1])).isConstant()).to.be.true;
+    })
+  })
+
+  describe("isDiscrete", function() {
+    it("is true of equalities", function() {
+      expect(new Range(1, 1).isDiscrete()).to.be.true;
+      expect(new Range(1, 2).isDiscrete()).to.be.false;
+    })
+
+    it("is true of unions of discrete ranges", function() {
+      expect(new RangeUnion(new Range(1, 1), new Range(3, 3)).isDiscrete()).to.be.true;
+      expect(new RangeUnion(new Range(1, 1), new Range(3, 4)).isDiscrete()).to.be.false;
+    })
+
+    it("is true of intersections with a discrete range", function() {
+      expect(new RangeIntersection(new Range(1, 4), new Range(3, 3)).isDiscrete()).to.be.true;
+      expect(new RangeIntersection(new Range(1, 4), new Range(3, 5)).isDiscrete()).to.be.false;
+    })
+  })
+
+  describe("multiEntry", function() {
+    let multiEntry, other;
+
+    beforeEach(function() {
+      let fn = () => 1;
+      multiEntry = new RangeExpression(fn, fn);
+      multiEntry.multiEntry = true;
+      other = new Range(1, 2);
+    })
+
+    it("is propagated by unions and intersections", function() {
+      expect(multiEntry.isMultiEntry()).to.be.true;
+      expect(other.isMultiEntry()).to.be.false;
+      expect(new RangeUnion(multiEntry, multiEntry).isMultiEntry()).to.be.true;
+      expect(new RangeIntersection(other, other).isMultiEntry()).to.be.false;
+    })
+
+    it("intersection keeps first range if either is multiEntry", function() {
+      expect(intersectRanges(multiEntry, other)).to.equal(multiEntry);
+      expect(intersectRanges(other, multiEntry)).to.equal(other);
+      expect(intersectRanges(other, other)).to.be.instanceof(RangeIntersection);
+    })
+
+    it("union is undefined if only one range is multiEntry", function() {
+      expect(uniteRanges(multiEntry, other)).to.be.undefined;
+      expect(uniteRanges(multiEntry, multiEntry)).to.be.instanceof(RangeUnion);
+    })
+  })
+
+  describe("prefixUpper", function() {
+    it("increments last character", function() {
+      expect(prefixUpper("Ab")).to.equal("Ac");
+    })
+
+    it("drops trailing maximum characters", function() {
+      expect(prefixUpper("Ab\uffff\uffff")).to.equal("Ac");
+    })
+
+    it("is undefined if all strings start with prefix", function() {
+      expect(prefixUpper("")).to.be.undefined;
+      expect(prefixUpper("\uffff")).to.be.undefined;
+    })
+  })
+
   describe("nextUp", function() {
     it("returns the maximum negative representable finite number after -ve infinity", function() {
       expect(nextUp(-Infinity)).to.equal(-Number.MAX_VALUE);
@@ -845,6 +986,13 @@ describe("Range", function() {
       expect(nextUp(["a", 7])).to.deep.equal(["a", 7, -Infinity]);
     });
 
+    it("after any binary key, returns its bytes with a zero byte appended", function() {
+      let next = nextUp(new Uint8Array([1, 255]).buffer);
+      expect(next).to.be.instanceof(ArrayBuffer);
+      expect(Array.from(new Uint8Array(next))).to.deep.equal([1, 255, 0]);
+      expect(Array.from(new Uint8Array(nextUp(new Uint8Array([0, 1, 2]).subarray(1))))).to.deep.equal([1, 2, 0]);
+    });
+
     it("is used to implement Range.openUpper if its upper bound is closed", function() {
       expect(new Range("a", "b", false, false).openUpper().tree()).to.deep.equal({
         class: "Range",
@@ -0,0 +1,100 @@
+"use strict";
+
+require("./indexeddb-fill.js");
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+
+const {
+  Context,
+  JSONObjectStore,
+  consoleTracer,
+  getTracer,
+  setTracer,
+  silentTracer,
+  trace,
+} = require("..");
+const { select, update } = require("../querybuilder");
+
+let sandbox = sinon.sandbox.create();
+
+describe("Tracing", function() {
+  let thing, thingStore;
+  let tracer;
+
+  beforeEach(function() {
+    thing = [
+      {id: 1, name: "Apple", calories: 95},
+      {id: 2, name: "Banana", calories: 105},
+    ];
+    thingStore = new JSONObjectStore(thing);
+
+    tracer = sinon.stub();
+    setTracer(tracer);
+  })
+
+  afterEach(function() {
+    setTracer(null);
+    sandbox.restore();
+  })
+
+  it("is silent by default", function() {
+    setTracer(null);
+    expect(getTracer()).to.equal(silentTracer);
+  })
+
+  it("traces events to global tracer", function() {
+    trace(new Context({}), { type: "test" });
+    sinon.assert.calledWith(tracer, { type: "test" });
+  })
+
+  it("traces events to context's tracer in preference to global tracer", function() {
+    let contextTracer = sinon.stub();
+    let context = new Context({});
+    context.tracer = contextTracer;
+
+    trace(new Context(context), { type: "test" });
+    sinon.assert.calledWith(contextTracer, { type: "test" });
+    sinon.assert.notCalled(tracer);
+  })
+
+  it("console tracer logs events", function() {
+    sandbox.stub(console, "log");
+    let event = { type: "test" };
+    consoleTracer(event);
+    sinon.assert.calledWith(console.log, "fluentquery test", event);
+  })
+
+  it("traces transaction creation", function() {
+    return select `thing.name`
+            .from ({thing}).then(() => {
+      sinon.assert.calledWith(tracer, {
+        type: "transaction",
+        database: undefined,
+        objectStoreNames: [],
+        mode: "readonly",
+      });
+    });
+  })
+
+  it("traces write batches", function() {
+    return update `{calories: 50}`
+            .into (thingStore).then(() => {
+      sinon.assert.calledWith(tracer, {
+        type: "write",
+        operation: "put",
+        overwrite: true,
+        count: 2,
+      });
+    });
+  })
+
+  it("traces aborts", function() {
+    return select `thing.missing.name`
+            .from ({thing}).then(() => {
+      expect.fail();
+    }, error => {
+      sinon.assert.calledWith(tracer, sinon.match({ type: "abort", error }));
+    });
+  })
+})
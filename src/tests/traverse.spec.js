@@ -5,7 +5,7 @@ require("./indexeddb-fill.js");
 const { expect } = require("chai");
 const sinon = require("sinon");
 
-const { traverse, traversePath } = require("..");
+const { traverse, traversePath, traverseShared } = require("..");
 
 let sandbox = sinon.sandbox.create();
 
@@ -115,6 +115,25 @@ describe("Traverse", function() {
     expect(a.b).to.equal("hello");
   })
 
+  it("traverses shared node only once", function() {
+    class A {
+      constructor(foo) {
+        this.b = foo;
+        this.c = foo;
+      }
+
+      accept(context) {
+        traverseShared(this, "b", context);
+        traverseShared(this, "c", context);
+      }
+    }
+
+    visitor.Foo = sandbox.stub();
+    traverse(new A(foo), visitor);
+    traverse(new A(foo), visitor);
+    sinon.assert.calledTwice(visitor.Foo);
+  })
+
   it("traverses null", function() {
     traverse(null, visitor);
   })
@@ -9,20 +9,28 @@ const sortBy = require("lodash/sortBy");
 
 const {
   Aggregate,
+  CommonTableReference,
   JSONObjectStore,
   Context,
+  Distinct,
   Expression,
   GroupBy,
   Join,
+  Limit,
   OrderBy,
   PrimaryKey,
+  Range,
+  RangeList,
+  RecursiveUnion,
   Relation,
+  ScalarSubquery,
   Select,
   SetOperation,
   NamedRelation,
   TermGroups,
   Transaction,
   Where,
+  WorkingTable,
   Write,
   parseExpression,
   select,
@@ -183,6 +191,12 @@ describe("Tree", function() {
   })
 
   describe("SetOperation", function() {
+    let vegetableRelation;
+
+    beforeEach(function() {
+      vegetableRelation = new NamedRelation(new JSONObjectStore([{id: 1, name: "Vegetable"}]), "type");
+    });
+
     it("accepts", function() {
       visitor.SetOperation = sandbox.stub();
       visitor.NamedRelation = sandbox.stub();
@@ -251,6 +265,70 @@ describe("Tree", function() {
         ]);
       });
     });
+
+    it("intersect keeps distinct tuples in both relations", function() {
+      let union = new SetOperation(typeRelation, typeRelation, "unionAll");
+      let setOperation = new SetOperation(union, vegetableRelation, "intersect");
+      return resultArray(setOperation.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          {
+            type: {id: 1, name: "Vegetable"}
+          },
+        ]);
+      });
+    });
+
+    it("intersectAll keeps tuples as many times as they occur in both relations", function() {
+      let union = new SetOperation(typeRelation, typeRelation, "unionAll");
+      let setOperation = new SetOperation(union, typeRelation, "intersectAll");
+      return resultArray(setOperation.execute(context)).then(result => {
+        result = sortBy(result, r => r.type.name);
+        expect(result).to.deep.equal([
+          {
+            type: {id: 2, name: "Mineral"}
+          },
+          {
+            type: {id: 1, name: "Vegetable"}
+          },
+        ]);
+      });
+    });
+
+    it("except keeps distinct tuples only in left relation", function() {
+      let union = new SetOperation(typeRelation, typeRelation, "unionAll");
+      let setOperation = new SetOperation(union, vegetableRelation, "except");
+      return resultArray(setOperation.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          {
+            type: {id: 2, name: "Mineral"}
+          },
+        ]);
+      });
+    });
+
+    it("exceptAll removes one left tuple for each occurrence in right relation", function() {
+      let union = new SetOperation(typeRelation, typeRelation, "unionAll");
+      let setOperation = new SetOperation(union, vegetableRelation, "exceptAll");
+      return resultArray(setOperation.execute(context)).then(result => {
+        result = sortBy(result, r => r.type.name);
+        expect(result).to.deep.equal([
+          {
+            type: {id: 2, name: "Mineral"}
+          },
+          {
+            type: {id: 2, name: "Mineral"}
+          },
+          {
+            type: {id: 1, name: "Vegetable"}
+          },
+        ]);
+      });
+    });
+
+    it("throws on unknown set operation", function() {
+      let setOperation = new SetOperation(typeRelation, typeRelation, "xor");
+      expect(() => setOperation.execute(context)).to.throw(/xor/);
+    });
   })
 
   describe("Join", function() {
@@ -365,6 +443,20 @@ describe("Tree", function() {
       });
     });
 
+    it("executes semi join using predicate", function() {
+      type.push({id: 1, name: "Fruit"});
+
+      let join = new Join(thingRelation, typeRelation, "semi");
+      typeRelation.predicates.push(new Expression(({thing, type}) => thing.type_id == type.id, {thing: thingRelation, type: typeRelation}));
+      return resultArray(join.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          {thing: {id: 1, name: "Apple", calories: 95, type_id: 1}},
+          {thing: {id: 2, name: "Banana", calories: 105, type_id: 1}},
+          {thing: {id: 3, name: "Cake", calories: 235, type_id: 2}},
+        ]);
+      });
+    });
+
     it("predicate can use parameters", function() {
       thing.push({id: 4, name: "Pie", type_id: 3});
 
@@ -422,6 +514,154 @@ describe("Tree", function() {
       });
     });
 
+    it("executes hash join", function() {
+      thing.push({id: 4, name: "Pie", calories: 300, type_id: 3});
+      sandbox.spy(typeStore, "execute");
+
+      let join = new Join(thingRelation, typeRelation);
+      join.algorithm = "hash";
+      join.hashKeys.push({
+        left: parseExpression("thing.type_id", {thing: thingRelation}),
+        right: parseExpression("type.id", {type: typeRelation}),
+      });
+      return resultArray(join.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          {
+            thing: {id: 1, name: "Apple", calories: 95, type_id: 1},
+            type: {id: 1, name: "Vegetable"}
+          },
+          {
+            thing: {id: 2, name: "Banana", calories: 105, type_id: 1},
+            type: {id: 1, name: "Vegetable"}
+          },
+          {
+            thing: {id: 3, name: "Cake", calories: 235, type_id: 2},
+            type: {id: 2, name: "Mineral"}
+          },
+        ]);
+        sinon.assert.calledOnce(typeStore.execute);
+      });
+    });
+
+    it("executes outer hash join", function() {
+      thing.push({id: 4, name: "Pie", calories: 300, type_id: 3});
+
+      let join = new Join(thingRelation, typeRelation, "outer");
+      join.algorithm = "hash";
+      join.hashKeys.push({
+        left: parseExpression("thing.type_id", {thing: thingRelation}),
+        right: parseExpression("type.id", {type: typeRelation}),
+      });
+      return resultArray(join.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          {
+            thing: {id: 1, name: "Apple", calories: 95, type_id: 1},
+            type: {id: 1, name: "Vegetable"}
+          },
+          {
+            thing: {id: 2, name: "Banana", calories: 105, type_id: 1},
+            type: {id: 1, name: "Vegetable"}
+          },
+          {
+            thing: {id: 3, name: "Cake", calories: 235, type_id: 2},
+            type: {id: 2, name: "Mineral"}
+          },
+          {
+            thing: {id: 4, name: "Pie", calories: 300, type_id: 3},
+            type: {$otherwise: true}
+          },
+        ]);
+      });
+    });
+
+    it("executes anti hash join", function() {
+      thing.push({id: 4, name: "Pie", calories: 300, type_id: 3});
+
+      let join = new Join(thingRelation, typeRelation, "anti");
+      join.algorithm = "hash";
+      join.hashKeys.push({
+        left: parseExpression("thing.type_id", {thing: thingRelation}),
+        right: parseExpression("type.id", {type: typeRelation}),
+      });
+      return resultArray(join.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          {
+            thing: {id: 4, name: "Pie", calories: 300, type_id: 3},
+            type: {$otherwise: true}
+          },
+        ]);
+      });
+    });
+
+    it("executes semi hash join", function() {
+      thing.push({id: 4, name: "Pie", calories: 300, type_id: 3});
+      type.push({id: 1, name: "Fruit"});
+
+      let join = new Join(thingRelation, typeRelation, "semi");
+      join.algorithm = "hash";
+      join.hashKeys.push({
+        left: parseExpression("thing.type_id", {thing: thingRelation}),
+        right: parseExpression("type.id", {type: typeRelation}),
+      });
+      return resultArray(join.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          {thing: {id: 1, name: "Apple", calories: 95, type_id: 1}},
+          {thing: {id: 2, name: "Banana", calories: 105, type_id: 1}},
+          {thing: {id: 3, name: "Cake", calories: 235, type_id: 2}},
+        ]);
+      });
+    });
+
+    it("filters hash join matches with probe predicates before generating outer tuples", function() {
+      let join = new Join(thingRelation, typeRelation, "outer");
+      join.algorithm = "hash";
+      join.hashKeys.push({
+        left: parseExpression("thing.type_id", {thing: thingRelation}),
+        right: parseExpression("type.id", {type: typeRelation}),
+      });
+      join.probePredicates.push(parseExpression("thing.calories < 200", {thing: thingRelation, type: typeRelation}));
+      return resultArray(join.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          {
+            thing: {id: 1, name: "Apple", calories: 95, type_id: 1},
+            type: {id: 1, name: "Vegetable"}
+          },
+          {
+            thing: {id: 2, name: "Banana", calories: 105, type_id: 1},
+            type: {id: 1, name: "Vegetable"}
+          },
+          {
+            thing: {id: 3, name: "Cake", calories: 235, type_id: 2},
+            type: {$otherwise: true}
+          },
+        ]);
+      });
+    });
+
+    it("executes semi lookup join, looking up left tuples by values of right hash key", function() {
+      type.push({id: 1, name: "Fruit"});
+      sandbox.spy(thingStore, "execute");
+
+      let join = new Join(thingRelation, typeRelation, "semi");
+      join.algorithm = "lookup";
+      join.hashKeys.push({
+        left: parseExpression("thing.type_id", {thing: thingRelation}),
+        right: parseExpression("type.id", {type: typeRelation}),
+      });
+      thingRelation.keyRanges.type_id = new RangeList(join.lookupValuesFn());
+      typeRelation.predicates.push(parseExpression("type.name != 'Mineral'", {type: typeRelation}));
+
+      return resultArray(join.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          {thing: {id: 1, name: "Apple", calories: 95, type_id: 1}},
+          {thing: {id: 2, name: "Banana", calories: 105, type_id: 1}},
+        ]);
+
+        let keyRange = thingStore.execute.getCall(0).args[1].type_id;
+        expect(keyRange.prepare(thingStore.execute.getCall(0).args[0])).to.deep.equal([new Range(1, 1)]);
+      });
+    });
+
     it("throws if schemas overlap", function() {
       expect(function() {
         new Join(thingRelation, thingRelation);
@@ -472,6 +712,84 @@ describe("Tree", function() {
     })
   })
 
+  describe("ScalarSubquery", function() {
+    let subquery;
+
+    beforeEach(function() {
+      typeRelation.predicates.push(new Expression(({thing, type}) => thing.type_id == type.id, {thing: thingRelation, type: typeRelation}));
+      subquery = new Select(typeRelation, parseExpression("type.name", {type: typeRelation}));
+    })
+
+    it("schema", function() {
+      let scalar = new ScalarSubquery(thingRelation, subquery, "$$scalar0");
+      expect(scalar.schema()).to.deep.equal({thing: thingRelation, $$scalar0: scalar});
+    });
+
+    it("evaluates subquery for each tuple", function() {
+      thing.push({id: 4, name: "Pie", calories: 300, type_id: 3});
+
+      let scalar = new ScalarSubquery(thingRelation, subquery, "$$scalar0");
+      return resultArray(scalar.execute(context)).then(result => {
+        expect(result.map(tuple => [tuple.thing.name, tuple.$$scalar0])).to.deep.equal([
+          ["Apple", "Vegetable"],
+          ["Banana", "Vegetable"],
+          ["Cake", "Mineral"],
+          ["Pie", undefined],
+        ]);
+      });
+    })
+
+    it("errors if subquery produces more than one tuple", function() {
+      type.push({id: 1, name: "Fruit"});
+
+      let scalar = new ScalarSubquery(thingRelation, subquery, "$$scalar0");
+      return resultArray(scalar.execute(context)).then(() => {
+        expect.fail();
+      }, error => {
+        expect(error.message).to.match(/more than one/);
+      });
+    })
+  })
+
+  describe("CommonTableReference", function() {
+    it("accepts relation it refers to", function() {
+      visitor.NamedRelation = sandbox.stub();
+      let reference = new CommonTableReference("things");
+      reference.relation = thingRelation;
+      traverse(reference, visitor);
+      sinon.assert.calledOnce(visitor.NamedRelation);
+    });
+
+    it("executes relation it refers to", function() {
+      let reference = new CommonTableReference("things");
+      reference.relation = new Select(thingRelation, parseExpression("thing.name", {thing: thingRelation}));
+      return resultArray(reference.execute(context)).then(result => {
+        expect(result).to.deep.equal(["Apple", "Banana", "Cake"]);
+      });
+    })
+  })
+
+  describe("RecursiveUnion", function() {
+    it("executes step with tuples first produced by previous iteration until it produces none", function() {
+      let workingTable = new WorkingTable();
+      let working = new NamedRelation(workingTable, "n");
+      let start = new NamedRelation(new JSONObjectStore([{n: 1}, {n: 3}]), "start");
+      let seed = new Select(start, parseExpression("start.n", {start}));
+      let step = new Select(working, parseExpression("n % 5 + 1", {n: working}));
+      sandbox.spy(step, "execute");
+
+      let recursiveUnion = new RecursiveUnion(seed, step, workingTable);
+      return resultArray(recursiveUnion.execute(context)).then(result => {
+        expect(result).to.deep.equal([1, 3, 2, 4, 5]);
+        expect(step.execute.getCalls().map(call => call.args[0][workingTable.key])).to.deep.equal([
+          [1, 3],
+          [2, 4],
+          [5],
+        ]);
+      });
+    })
+  })
+
   describe("GroupBy", function() {
     const sum = (state, v) => {
       if (state === undefined) {
@@ -516,6 +834,19 @@ describe("Tree", function() {
         ]);
       });
     })
+
+    it("filters groups with having expressions sharing aggregate state of selector", function() {
+      let groupBy = new GroupBy(thingRelation,
+        new Expression(({thing}, $g) => ({ type_id: thing.type_id, totalCalories: ($g[0] = sum($g[0], thing.calories)).value }), {thing}),
+        new Expression(({thing}) => ({ type_id: thing.type_id }), {thing}));
+      groupBy.having.push(new Expression(({thing}, $g) => $g[0].value < 220, {thing}));
+      groupBy.having.push(new Expression(({thing}, $g) => ($g[1] = sum($g[1], 1)).value > 1, {thing}));
+      return resultArray(groupBy.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          { type_id: 1, totalCalories: 200 },
+        ]);
+      });
+    })
   })
 
   describe("OrderBy", function() {
@@ -642,4 +973,85 @@ describe("Tree", function() {
       });
     })
   })
+
+  describe("Distinct", function() {
+    it("accepts", function() {
+      visitor.Distinct = sandbox.stub();
+      visitor.NamedRelation = sandbox.stub();
+      let distinct = new Distinct(thingRelation);
+      traverse(distinct, visitor);
+      sinon.assert.calledOnce(visitor.Distinct);
+      sinon.assert.calledOnce(visitor.NamedRelation);
+    });
+
+    it("schema", function() {
+      let distinct = new Distinct(thingRelation);
+      expect(distinct.schema()).to.deep.equal({ thing: thingRelation });
+    })
+
+    it("removes duplicate tuples", function() {
+      let select = new Select(thingRelation, parseExpression("{type_id: thing.type_id}", {thing: thingRelation}));
+      let distinct = new Distinct(select);
+      return resultArray(distinct.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          { type_id: 1 },
+          { type_id: 2 },
+        ]);
+      });
+    })
+
+    it("keeps first tuple for each value of expression", function() {
+      let distinct = new Distinct(thingRelation, parseExpression("thing.type_id", {thing: thingRelation}));
+      return resultArray(distinct.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          { thing: {id: 1, name: "Apple", calories: 95, type_id: 1} },
+          { thing: {id: 3, name: "Cake", calories: 235, type_id: 2} },
+        ]);
+      });
+    })
+  })
+
+  describe("Limit", function() {
+    it("accepts", function() {
+      visitor.Limit = sandbox.stub();
+      visitor.NamedRelation = sandbox.stub();
+      let limit = new Limit(thingRelation, 2);
+      traverse(limit, visitor);
+      sinon.assert.calledOnce(visitor.Limit);
+      sinon.assert.calledOnce(visitor.NamedRelation);
+    });
+
+    it("schema", function() {
+      let limit = new Limit(thingRelation, 2);
+      expect(limit.schema()).to.deep.equal({ thing: thingRelation });
+    })
+
+    it("limits number of tuples", function() {
+      let limit = new Limit(thingRelation, 2);
+      return resultArray(limit.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          { thing: {id: 1, name: "Apple", calories: 95, type_id: 1} },
+          { thing: {id: 2, name: "Banana", calories: 105, type_id: 1} },
+        ]);
+      });
+    })
+
+    it("skips offset tuples", function() {
+      let limit = new Limit(thingRelation, undefined, 2);
+      return resultArray(limit.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          { thing: {id: 3, name: "Cake", calories: 235, type_id: 2} },
+        ]);
+      });
+    })
+
+    it("count and offset can access parameters", function() {
+      let limit = new Limit(thingRelation, parseExpression("$p1", {}), parseExpression("$p1", {}));
+      return resultArray(limit.execute(context)).then(result => {
+        expect(result).to.deep.equal([
+          { thing: {id: 2, name: "Banana", calories: 105, type_id: 1} },
+        ]);
+      });
+    })
+  })
 })
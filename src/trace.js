@@ -0,0 +1,38 @@
+"use strict";
+
+// A tracer is a function called with an event object describing some step in the execution of a query. Every
+// event has a type:
+//  "index" - an object store chose an index, or none, to look up tuples in the given number of key ranges
+//  "cursor" - an object store opened a cursor over a key range of an index or its records
+//  "transaction" - a query created a transaction
+//  "abort" - a query failed and aborted its transaction
+//  "write" - a query wrote a batch of tuples to an object store
+// Events concerning IndexedDB object stores also have database and objectStore names.
+
+const silentTracer = () => {};
+
+const consoleTracer = (event) => {
+  console.log(`fluentquery ${event.type}`, event);
+}
+
+let globalTracer = silentTracer;
+
+// Sets the tracer for contexts that have no tracer of their own. null or undefined restores the silent default.
+const setTracer = (tracer) => {
+  globalTracer = tracer || silentTracer;
+}
+
+const getTracer = () => globalTracer;
+
+const trace = (context, event) => {
+  let tracer = context.tracer || globalTracer;
+  tracer(event);
+}
+
+module.exports = {
+  consoleTracer,
+  getTracer,
+  setTracer,
+  silentTracer,
+  trace,
+};
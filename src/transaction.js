@@ -2,6 +2,8 @@
 
 const EventEmitter = require('eventemitter3');
 const { Observable } = require("./rx");
+const { trace } = require("./trace");
+const { traversePath } = require("./traverse");
 
 const has = Object.prototype.hasOwnProperty;
 
@@ -108,10 +110,18 @@ class TransactionNode {
   execute(context) {
     context.db = this.db;
     if (context.transaction === undefined) {
+      let objectStoreNames = Array.from(this.objectStoreNames);
       if (this.db)
-        context.transaction = getTransaction(this.db.transaction(Array.from(this.objectStoreNames), this.mode));
+        context.transaction = getTransaction(this.db.transaction(objectStoreNames, this.mode));
       else
         context.transaction = new Transaction();
+
+      trace(context, {
+        type: "transaction",
+        database: this.db ? this.db.name : undefined,
+        objectStoreNames,
+        mode: this.mode,
+      });
     }
 
     if (context.transaction.settled)
@@ -120,11 +130,16 @@ class TransactionNode {
     context.transaction.delayComplete();
 
     return context.execute(this.relation).catch(error => {
+      trace(context, { type: "abort", error });
       context.transaction.abort(error);
       return Observable.throw(error);
     });
   }
 
+  accept(context) {
+    traversePath(this, "relation", context);
+  }
+
   tree() {
     return {
       class: this.constructor.name,
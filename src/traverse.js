@@ -50,7 +50,7 @@ const exit = (context) => {
 
 const traversePath = (obj, name, parentContext) => {
   let path = new Path(obj, name, parentContext.path);
-  let context = { path, visitor: parentContext.visitor };
+  let context = { path, visitor: parentContext.visitor, visited: parentContext.visited };
   enter(context);
   let node = path.node;
   if (node && typeof node === "object" && typeof node.accept === "function")
@@ -58,9 +58,19 @@ const traversePath = (obj, name, parentContext) => {
   exit(context);
 }
 
+// Traverses a node that might be reachable by more than one path, e.g. a common table expression referenced more
+// than once, only on the first path by which it is reached, so that visitors transform it only once.
+const traverseShared = (obj, name, parentContext) => {
+  let node = obj[name];
+  if (parentContext.visited.has(node))
+    return;
+  parentContext.visited.add(node);
+  traversePath(obj, name, parentContext);
+}
+
 const traverse = (node, visitor) => {
   let fakeParent = [node];
-  let context = { path: undefined, visitor };
+  let context = { path: undefined, visitor, visited: new Set() };
   traversePath(fakeParent, 0, context);
   return fakeParent[0];
 }
@@ -68,5 +78,6 @@ const traverse = (node, visitor) => {
 
 module.exports = {
   traverse,
-  traversePath
+  traversePath,
+  traverseShared,
 };
@@ -4,9 +4,11 @@ const { ValueMap, ValueSet } = require("valuecollection");
 
 const { Observable } = require("./rx");
 const { Aggregate } = require("./aggregate");
-const { TermGroups } = require("./expression");
+const { PrimaryKey, TermGroups } = require("./expression");
 const { cmp } = require("./idbbase");
-const { traversePath } = require("./traverse");
+const { recordWrite } = require("./live");
+const { trace } = require("./trace");
+const { traversePath, traverseShared } = require("./traverse");
 
 const has = Object.prototype.hasOwnProperty;
 
@@ -25,6 +27,25 @@ const applyPredicates = (observable, predicates, context) => {
   });
 }
 
+// Counts, e.g. for LIMIT and OFFSET, may be numbers or parameterized expressions.
+const evaluateCount = (count, context) => {
+  if (count === undefined || typeof count === "number")
+    return count;
+  return count.prepare(context)({});
+}
+
+const applyLimit = (observable, limit, offset) => {
+  if (offset)
+    observable = observable.skip(offset);
+  if (limit !== undefined)
+    observable = observable.take(limit);
+  return observable;
+}
+
+const countTree = (count) => {
+  return typeof count === "number" ? count : count.tree();
+}
+
 class Context {
   constructor(arg0, arg1) {
     if (arg0 instanceof Context) {
@@ -38,10 +59,50 @@ class Context {
 
   execute(node) {
     let observable = node.execute(this);
+    if (this.statistics !== undefined)
+      observable = this.statistics.instrument(node, observable);
     return observable;
   }
 }
 
+const now = () => typeof performance !== "undefined" ? performance.now() : Date.now();
+
+// When assigned to a Context's statistics, records for each node executed through the context the number of times
+// it was executed, the number of tuples it produced, the cursor steps taken on its behalf and the wall time, in
+// milliseconds, from subscribing to its tuples until they completed. Times include the time spent in child nodes.
+class Statistics {
+  constructor() {
+    this.nodes = new Map();
+  }
+
+  get(node) {
+    let statistics = this.nodes.get(node);
+    if (statistics === undefined) {
+      statistics = { executions: 0, rows: 0, cursorSteps: 0, time: 0 };
+      this.nodes.set(node, statistics);
+    }
+    return statistics;
+  }
+
+  instrument(node, observable) {
+    let statistics = this.get(node);
+    return Observable.create(observer => {
+      let start = now();
+      ++statistics.executions;
+
+      let subscription = observable.subscribe(tuple => {
+        ++statistics.rows;
+        observer.next(tuple);
+      }, error => observer.error(error), () => observer.complete());
+
+      return () => {
+        statistics.time += now() - start;
+        subscription.unsubscribe();
+      };
+    });
+  }
+}
+
 class Relation {
   schema() {
     return undefined;
@@ -56,6 +117,57 @@ class ObjectStore extends Relation {
   constructor() {
     super();
   }
+
+  // Returns the key paths that the object store can look up by key, i.e. its primary key path and the key paths
+  // of its indexes, or undefined if unknown.
+  indexKeyPaths() {
+    return undefined;
+  }
+
+  // Returns whether the object store can produce its tuples ordered by the given key paths, in either direction,
+  // when passed the "order" execute option.
+  supportsOrder(keyPaths) {
+    return false;
+  }
+
+  // Returns whether writes to the other object store might change the tuples of this one.
+  isSameObjectStore(other) {
+    return this === other;
+  }
+
+  // Returns the names of the database and object store, for object stores that can be identified by name in
+  // other contexts, e.g. other tabs.
+  qualifiedName() {
+    return undefined;
+  }
+
+  primaryKey(context, tuple) {
+    return tuple[PrimaryKey];
+  }
+
+  // Returns whether the object store generates the primary keys of tuples written without one, which are then
+  // only known once written.
+  generatesKeys(context) {
+    return false;
+  }
+
+  // Returns whether the object store can avoid reading whole records when passed the "fields" execute option,
+  // which lists the only key paths of its tuples that will be read.
+  supportsFields() {
+    return false;
+  }
+
+  // Returns an estimate of the number of tuples execute would produce for the given key ranges, or undefined if
+  // there is no basis for an estimate.
+  estimateRows(keyRanges) {
+    return undefined;
+  }
+
+  // Resolves to a description of how execute would be carried out for the given key ranges and options,
+  // including estimatedRows, where known.
+  explainScan(context, keyRanges, options={}) {
+    return Promise.resolve({});
+  }
 }
 
 // This represents SQL SELECT rather than relational algebra SELECT. In relational algebra
@@ -101,22 +213,34 @@ class Write extends Relation {
   execute(context) {
     let observable = context.execute(this.relation);
     
-    let method;
-    if (this.delete) {
-      method = this.objectStore.delete.bind(this.objectStore);
-    } else {
-      method = this.objectStore.put.bind(this.objectStore);
-    }
+    let operation = this.delete ? "delete" : "put";
+    let method = this.objectStore[operation].bind(this.objectStore);
 
     // All the tuples are collected in an array before applying any modifications
     // so that the modifications are not prematurely visible to the query.
     // publishReplay so that the map() below is run for its side-effects even if
     // the observable returned by this function is not itself consumed.
+    // Generated keys are also wanted from object stores that generate them, since the primary keys of written
+    // tuples are recorded for change records.
+    let transaction = context.transaction;
+    let wantGenerated = this.returning !== undefined || this.objectStore.generatesKeys(context);
     observable = observable.toArray().map(tuples => {
-      return method(context, tuples, this.overwrite, this.returning !== undefined);
+      trace(context, Object.assign({
+        type: "write",
+        operation,
+        overwrite: this.overwrite,
+        count: tuples.length,
+      }, this.objectStore.qualifiedName()));
+
+      let result = method(context, tuples, this.overwrite, wantGenerated);
+      if (tuples.length) {
+        let keys = recordWrite(transaction, this.objectStore);
+        result = result.do(tuple => keys.push(this.objectStore.primaryKey(context, tuple)));
+      }
+      return result;
     }).mergeAll();
     
-    let transaction = context.transaction;
+
     observable = observable.catch(error => {
       transaction.abort(error);
       return Observable.throw(error);
@@ -164,6 +288,16 @@ class NamedRelation extends Relation {
     this.name = name;
     this.predicates = [];
     this.keyRanges = {};
+
+    // Set by the planner when a LIMIT or OFFSET can be applied directly to the object store.
+    this.limit = undefined;
+    this.offset = undefined;
+
+    // Set by the planner when the object store can produce tuples in the order required by an ORDER BY.
+    this.order = undefined;
+
+    // Set by the planner to the key paths of the tuples read by the query, when it reads nothing else.
+    this.fields = undefined;
   }
 
   schema() {
@@ -171,7 +305,15 @@ class NamedRelation extends Relation {
   }
 
   execute(context) {
-    let observable = this.relation.execute(context, this.keyRanges).map(tuple => ({ [this.name]: tuple }));
+    let options = {
+      limit: evaluateCount(this.limit, context),
+      offset: evaluateCount(this.offset, context),
+      order: this.order,
+      fields: this.fields,
+    };
+    if (context.statistics !== undefined)
+      options.statistics = context.statistics.get(this);
+    let observable = this.relation.execute(context, this.keyRanges, options).map(tuple => ({ [this.name]: tuple }));
     observable = applyPredicates(observable, this.predicates, context);
     return observable;
   }
@@ -181,7 +323,8 @@ class NamedRelation extends Relation {
   }
 
   tree() {
-    if (this.relation instanceof ObjectStore) {
+    if (this.relation instanceof ObjectStore && this.limit === undefined && this.offset === undefined &&
+        this.order === undefined && this.fields === undefined) {
       return this.name;
     } else {
       let result = {
@@ -192,6 +335,14 @@ class NamedRelation extends Relation {
       if (this.predicates.length > 0) {
         result.predicates = this.predicates.map(p => p.tree());
       }
+      if (this.limit !== undefined)
+        result.limit = countTree(this.limit);
+      if (this.offset !== undefined)
+        result.offset = countTree(this.offset);
+      if (this.order !== undefined)
+        result.order = this.order;
+      if (this.fields !== undefined)
+        result.fields = this.fields;
       return result;
     }
   }
@@ -226,6 +377,27 @@ class CompositeUnion extends Relation {
   }
 }
 
+// Given the number of times each tuple occurs in the right relation, returns a predicate for left tuples. The
+// "All" variants consume one occurrence in the right relation for each left tuple.
+const SET_FILTERS = {
+  intersect: counts => tuple => counts.has(tuple),
+  intersectAll: counts => tuple => {
+    let count = counts.get(tuple);
+    if (!count)
+      return false;
+    counts.set(tuple, count - 1);
+    return true;
+  },
+  except: counts => tuple => !counts.has(tuple),
+  exceptAll: counts => tuple => {
+    let count = counts.get(tuple);
+    if (!count)
+      return true;
+    counts.set(tuple, count - 1);
+    return false;
+  },
+}
+
 class SetOperation extends Relation {
   constructor(lRelation, rRelation, type) {
     super();
@@ -238,11 +410,17 @@ class SetOperation extends Relation {
     let observable;
     if (this.type === "union" || this.type === "unionAll") {
       observable = context.execute(this.lRelation).merge(context.execute(this.rRelation));
+    } else if (has.call(SET_FILTERS, this.type)) {
+      // The right tuples are counted before filtering the left tuples against them.
+      const count = (counts, tuple) => counts.set(tuple, (counts.get(tuple) || 0) + 1);
+      observable = context.execute(this.rRelation).reduce(count, new ValueMap()).mergeMap(counts => {
+        return context.execute(this.lRelation).filter(SET_FILTERS[this.type](counts));
+      });
     } else {
       throw new Error(`Unknown set operation '${this.type}'.`);
     }
 
-    if (this.type === "union") {
+    if (this.type === "union" || this.type === "intersect" || this.type === "except") {
       let set = new ValueSet();
       observable = observable.filter(tuple => set.add(tuple));
     }
@@ -275,10 +453,21 @@ class Join extends Relation {
     this.termGroups = new TermGroups();
     this.predicates = [];
 
+    // The planner sets algorithm to "hash" when the right relation should be executed only once, with its
+    // tuples matched to left tuples on the left and right expressions of hashKeys. The probePredicates
+    // further filter matched pairs of tuples. It sets algorithm to "lookup" for a semi join on a single hash key
+    // that the left relation can look up: the left relation is then executed once, with a key range reading the
+    // values of the right hash key under lookupKey of the context tuple.
+    this.algorithm = "nestedLoop";
+    this.hashKeys = [];
+    this.probePredicates = [];
+    this.lookupKey = Symbol("lookupKey");
+
+    // A subquery tested by a semi or anti join might have no schema.
     let lSchema = this.lRelation.schema();
     let rSchema = this.rRelation.schema();
     for (let n in lSchema) {
-      if (has.call(lSchema, n) && has.call(rSchema, n))
+      if (has.call(lSchema, n) && rSchema !== undefined && has.call(rSchema, n))
         throw new Error(`Cannot join relations that share "${n}".`);
     }
   }
@@ -289,7 +478,7 @@ class Join extends Relation {
 
   execute(context) {
     let otherwiseTuple;
-    if (this.type !== "inner") {
+    if (this.type === "outer" || this.type === "anti") {
       otherwiseTuple = {};
       let schema = this.rRelation.schema();
       for (let n in schema) {
@@ -298,13 +487,33 @@ class Join extends Relation {
       }
     }
 
+    let observable;
+    if (this.algorithm === "hash")
+      observable = this.executeHash(context, otherwiseTuple);
+    else if (this.algorithm === "lookup")
+      observable = this.executeLookup(context);
+    else
+      observable = this.executeNestedLoop(context, otherwiseTuple);
+
+    observable = applyPredicates(observable, this.predicates, context);
+
+    return observable;
+  }
+
+  executeNestedLoop(context, otherwiseTuple) {
     let observable = context.execute(this.lRelation);
 
-    observable = observable.mergeMap(aTuple => {
+    return observable.mergeMap(aTuple => {
       let rightContext = new Context(context, {
         tuple: Object.assign({}, context.tuple, aTuple),
       });
-      let observable = rightContext.execute(this.rRelation).map(bTuple => Object.assign({}, aTuple, bTuple));
+      let observable = rightContext.execute(this.rRelation);
+
+      // A semi join produces each left tuple once if there is any matching right tuple.
+      if (this.type === "semi")
+        return observable.take(1).map(() => aTuple);
+
+      observable = observable.map(bTuple => Object.assign({}, aTuple, bTuple));
      
       if (otherwiseTuple) {
         let generatedTuple = Object.assign({}, aTuple, otherwiseTuple);
@@ -316,16 +525,104 @@ class Join extends Relation {
       }
       return observable;
     });
+  }
 
-    observable = applyPredicates(observable, this.predicates, context);
+  executeHash(context, otherwiseTuple) {
+    let contextTuple = context.tuple;
+    let lKeyFns = this.hashKeys.map(k => k.left.prepare(context));
+    let rKeyFns = this.hashKeys.map(k => k.right.prepare(context));
+    let probeFns = this.probePredicates.map(p => p.prepare(context));
 
-    return observable;
+    const hashKey = (keyFns, tuple) => {
+      let key = keyFns.map(fn => fn(Object.assign({}, contextTuple, tuple)));
+
+      // Tuples with undefined or null keys equal nothing.
+      for (let i = 0; i < key.length; ++i) {
+        if (key[i] === undefined || key[i] === null)
+          return undefined;
+      }
+      return key;
+    }
+
+    const probe = (tuple) => {
+      for (let i = 0; i < probeFns.length; ++i) {
+        if (!probeFns[i](Object.assign({}, contextTuple, tuple)))
+          return false;
+      }
+      return true;
+    }
+
+    const build = (table, bTuple) => {
+      let key = hashKey(rKeyFns, bTuple);
+      if (key !== undefined) {
+        let bucket = table.get(key);
+        if (bucket === undefined)
+          table.set(key, [bTuple]);
+        else
+          bucket.push(bTuple);
+      }
+      return table;
+    }
+
+    return context.execute(this.rRelation).reduce(build, new ValueMap()).mergeMap(table => {
+      return context.execute(this.lRelation).mergeMap(aTuple => {
+        let key = hashKey(lKeyFns, aTuple);
+        let bucket = (key !== undefined && table.get(key)) || [];
+        let tuples = bucket.map(bTuple => Object.assign({}, aTuple, bTuple)).filter(probe);
+
+        if (this.type === "semi")
+          return tuples.length ? [aTuple] : [];
+
+        if (otherwiseTuple) {
+          let generatedTuple = Object.assign({}, aTuple, otherwiseTuple);
+
+          if (this.type === "anti")
+            tuples = tuples.length ? [] : [generatedTuple];
+          else if (tuples.length === 0)
+            tuples = [generatedTuple];
+        }
+        return tuples;
+      });
+    });
+  }
+
+  executeLookup(context) {
+    let contextTuple = context.tuple;
+    let lKeyFn = this.hashKeys[0].left.prepare(context);
+    let rKeyFn = this.hashKeys[0].right.prepare(context);
+
+    const collect = (values, bTuple) => {
+      values.add(rKeyFn(Object.assign({}, contextTuple, bTuple)));
+      return values;
+    }
+
+    return context.execute(this.rRelation).reduce(collect, new ValueSet()).mergeMap(values => {
+      let lookupContext = new Context(context, {
+        tuple: Object.assign({}, contextTuple, { [this.lookupKey]: Array.from(values) }),
+      });
+
+      // Like other key ranges, the one looking up the left tuples might match more than it must.
+      return lookupContext.execute(this.lRelation).filter(aTuple => {
+        let key = lKeyFn(Object.assign({}, contextTuple, aTuple));
+        return key !== undefined && key !== null && values.has(key);
+      });
+    });
+  }
+
+  // Returns the function of the key range by which the left relation of a lookup join looks up its tuples.
+  lookupValuesFn() {
+    let lookupKey = this.lookupKey;
+    let fn = (tuple) => tuple[lookupKey];
+    fn.source = this.hashKeys[0].right.tree();
+    fn.fields = {};
+    return fn;
   }
 
   accept(context) {
     traversePath(this, "lRelation", context);
     traversePath(this, "rRelation", context);
     this.predicates.forEach((p, i) => traversePath(this.predicates, i, context));
+    this.probePredicates.forEach((p, i) => traversePath(this.probePredicates, i, context));
   }
 
   tree() {
@@ -338,9 +635,20 @@ class Join extends Relation {
     if (this.type !== "inner")
       result.type = this.type;
 
+    if (this.algorithm !== "nestedLoop") {
+      result.algorithm = this.algorithm;
+      result.hashKeys = this.hashKeys.map(k => ({
+        left: k.left.tree(),
+        right: k.right.tree(),
+      }));
+    }
+
     if (this.predicates.length)
       result.predicates = this.predicates.map(p => p.tree());
 
+    if (this.probePredicates.length)
+      result.probePredicates = this.probePredicates.map(p => p.tree());
+
     let joinTree = this.termGroups.tree();
     if (joinTree.length !== 0)
       result.termGroups = joinTree;
@@ -349,6 +657,57 @@ class Join extends Relation {
   }
 }
 
+// Evaluates a subquery producing at most one tuple for each tuple of the relation, with the relation's tuple
+// available to it as the left tuple is to the right relation of a nested loop join. The tuple is produced with
+// the subquery's tuple, or undefined if it produced none, under the given name.
+class ScalarSubquery extends Relation {
+  constructor(relation, subquery, name) {
+    super();
+    this.relation = relation;
+    this.subquery = subquery;
+    this.name = name;
+    this.predicates = [];
+  }
+
+  schema() {
+    return Object.assign({}, this.relation.schema(), { [this.name]: this });
+  }
+
+  execute(context) {
+    let observable = context.execute(this.relation).mergeMap(tuple => {
+      let subqueryContext = new Context(context, {
+        tuple: Object.assign({}, context.tuple, tuple),
+      });
+      return subqueryContext.execute(this.subquery).take(2).toArray().map(values => {
+        if (values.length > 1)
+          throw new Error("Scalar subquery produced more than one tuple.");
+        return Object.assign({}, tuple, { [this.name]: values[0] });
+      });
+    });
+
+    observable = applyPredicates(observable, this.predicates, context);
+    return observable;
+  }
+
+  accept(context) {
+    traversePath(this, "relation", context);
+    traversePath(this, "subquery", context);
+    this.predicates.forEach((p, i) => traversePath(this.predicates, i, context));
+  }
+
+  tree() {
+    let result = {
+      class: this.constructor.name,
+      name: this.name,
+      relation: this.relation.tree(),
+      subquery: this.subquery.tree(),
+    };
+    if (this.predicates.length)
+      result.predicates = this.predicates.map(p => p.tree());
+    return result;
+  }
+}
+
 class Where extends Relation {
   constructor(relation, termGroups) {
     super();
@@ -387,6 +746,10 @@ class GroupBy extends Relation {
     this.relation = relation;
     this.selector = selector;
     this.grouper = grouper;
+
+    // Expressions that may contain aggregates, all of which must be truthy for a group to be produced. They are
+    // evaluated against the same aggregate state as the selector.
+    this.having = [];
   }
 
   execute(context) {
@@ -394,6 +757,7 @@ class GroupBy extends Relation {
 
     let grouperFn = this.grouper.prepare(context);
     let selectorFn = this.selector.prepare(context);
+    let havingFns = this.having.map(h => h.prepare(context));
 
     const reduceStep = (map, tuple) => {
       let groupKey = grouperFn(tuple);
@@ -401,7 +765,10 @@ class GroupBy extends Relation {
       let state;
       if (group === undefined) {
         state = [];
-        group = { state };
+        group = {
+          state,
+          havingValues: [],
+        };
         map.set(groupKey, group);
       } else {
         state = group.state;
@@ -409,11 +776,16 @@ class GroupBy extends Relation {
 
       group.tuple = selectorFn(tuple, state);
 
+      for (let i = 0; i < havingFns.length; ++i)
+        group.havingValues[i] = havingFns[i](tuple, state);
+
       return map;
     }
 
     const extractTotals = (map) => {
-      return Array.from(map.values()).map(group => group.tuple);
+      return Array.from(map.values())
+                  .filter(group => group.havingValues.every(v => v))
+                  .map(group => group.tuple);
     }
 
     let observable = context.execute(this.relation);
@@ -425,15 +797,19 @@ class GroupBy extends Relation {
     traversePath(this, "relation", context);
     traversePath(this, "selector", context);
     traversePath(this, "grouper", context);
+    this.having.forEach((h, i) => traversePath(this.having, i, context));
   }
 
   tree() {
-    return {
+    let result = {
       class: this.constructor.name,
       selector: this.selector.tree(),
       grouper: this.grouper.tree(),
       relation: this.relation.tree(),
     };
+    if (this.having.length)
+      result.having = this.having.map(h => h.tree());
+    return result;
   }
 }
 
@@ -460,7 +836,7 @@ class OrderBy extends Relation {
           let aa = fn(a), bb = fn(b);
 
           if (aa === undefined || aa === null) {
-            if (bb !== undefined && nn !== null)
+            if (bb !== undefined && bb !== null)
               return ordering[i].nulls;
           } else {
             if (bb === undefined || bb === null) {
@@ -496,6 +872,81 @@ class OrderBy extends Relation {
   }
 }
 
+// Without an expression, removes duplicate tuples. With one, keeps only the first tuple for each value of the
+// expression, like DISTINCT ON.
+class Distinct extends Relation {
+  constructor(relation, expression=undefined) {
+    super();
+    this.relation = relation;
+    this.expression = expression;
+  }
+
+  schema() {
+    return this.relation.schema();
+  }
+
+  execute(context) {
+    let observable = context.execute(this.relation);
+    let set = new ValueSet();
+    if (this.expression === undefined)
+      return observable.filter(tuple => set.add(tuple));
+
+    let fn = this.expression.prepare(context);
+    return observable.filter(tuple => set.add(fn(tuple)));
+  }
+
+  accept(context) {
+    traversePath(this, "relation", context);
+    traversePath(this, "expression", context);
+  }
+
+  tree() {
+    let result = {
+      class: this.constructor.name,
+      relation: this.relation.tree(),
+    };
+    if (this.expression !== undefined)
+      result.expression = this.expression.tree();
+    return result;
+  }
+}
+
+class Limit extends Relation {
+  constructor(relation, count=undefined, offset=undefined) {
+    super();
+    this.relation = relation;
+    this.count = count;
+    this.offset = offset;
+  }
+
+  schema() {
+    return this.relation.schema();
+  }
+
+  execute(context) {
+    let observable = context.execute(this.relation);
+    return applyLimit(observable, evaluateCount(this.count, context), evaluateCount(this.offset, context));
+  }
+
+  accept(context) {
+    traversePath(this, "relation", context);
+  }
+
+  tree() {
+    let result = {
+      class: this.constructor.name,
+      relation: this.relation.tree(),
+    };
+
+    if (this.count !== undefined)
+      result.count = countTree(this.count);
+    if (this.offset !== undefined)
+      result.offset = countTree(this.offset);
+
+    return result;
+  }
+}
+
 class Memoize extends Relation {
   constructor(relation) {
     super();
@@ -529,18 +980,114 @@ class Memoize extends Relation {
   }
 }
 
+// The tuples produced by the previous iteration of a RecursiveUnion, which its step reads through a reference to
+// the recursive query's name.
+class WorkingTable extends Relation {
+  constructor() {
+    super();
+    this.key = Symbol("workingTable");
+  }
+
+  execute(context) {
+    return Observable.from(context[this.key]);
+  }
+
+  tree() {
+    return {
+      class: this.constructor.name,
+    };
+  }
+}
+
+// Produces the tuples of the seed relation and then, repeatedly, those of the step relation, executed with the
+// tuples first produced by the previous iteration as its working table, until an iteration produces no tuple that
+// was not produced before. Since tuples produced before are skipped, iteration ends even if the data has cycles.
+class RecursiveUnion extends Relation {
+  constructor(seed, step, workingTable) {
+    super();
+    this.seed = seed;
+    this.step = step;
+    this.workingTable = workingTable;
+  }
+
+  execute(context) {
+    let produced = new ValueSet();
+
+    const iterate = (observable) => {
+      return observable.filter(tuple => produced.add(tuple)).toArray().mergeMap(tuples => {
+        if (tuples.length === 0)
+          return Observable.empty();
+
+        let stepContext = new Context(context, {
+          [this.workingTable.key]: tuples,
+        });
+        return Observable.from(tuples).concat(Observable.defer(() => iterate(stepContext.execute(this.step))));
+      });
+    }
+
+    return iterate(context.execute(this.seed));
+  }
+
+  accept(context) {
+    traversePath(this, "seed", context);
+    traversePath(this, "step", context);
+  }
+
+  tree() {
+    return {
+      class: this.constructor.name,
+      seed: this.seed.tree(),
+      step: this.step.tree(),
+    };
+  }
+}
+
+// Refers by name to a common table expression, defined with with() or withRecursive(). The query builder binds it
+// to the relation it names once that is known.
+class CommonTableReference extends Relation {
+  constructor(name) {
+    super();
+    this.name = name;
+    this.relation = undefined;
+  }
+
+  execute(context) {
+    return context.execute(this.relation);
+  }
+
+  accept(context) {
+    traverseShared(this, "relation", context);
+  }
+
+  tree() {
+    return {
+      class: this.constructor.name,
+      name: this.name,
+    };
+  }
+}
+
 module.exports = {
+  CommonTableReference,
   CompositeUnion,
   Context,
+  Distinct,
   GroupBy,
   Join,
+  Limit,
   Memoize,
   NamedRelation,
   OrderBy,
+  RecursiveUnion,
   Relation,
+  ScalarSubquery,
   Select,
   SetOperation,
   ObjectStore,
+  Statistics,
   Where,
+  WorkingTable,
   Write,
+  applyLimit,
+  evaluateCount,
 };